@@ -0,0 +1,356 @@
+const nock = require('nock');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useOllamaStandIn, chatReply } = require('./helpers');
+
+// Enable the admin endpoints and use a local Ollama stand-in before loading the server
+const ADMIN_API_KEY = 'test-admin-key-0123456789';
+const OLLAMA_URL = 'http://ollama-admin.test:11434';
+const AUDIT_LOG = path.join(os.tmpdir(), `admin-audit-${process.pid}.log`);
+useOllamaStandIn(OLLAMA_URL, { ADMIN_API_KEY, ADMIN_AUDIT_LOG: AUDIT_LOG });
+
+const app = require('../server');
+const LLMConfigManager = require('../config/llm-config-manager');
+const { createAdminAuth } = require('../middleware/admin-auth');
+
+const readAudit = () => fs.readFileSync(AUDIT_LOG, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+describe('Admin authentication', () => {
+  const runMiddleware = (apiKey, headers = {}) => {
+    const req = {
+      method: 'POST',
+      originalUrl: '/api/admin/reload',
+      ip: '127.0.0.1',
+      get: (name) => headers[name.toLowerCase()]
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    const next = jest.fn();
+
+    createAdminAuth(() => apiKey)(req, res, next);
+    return { res, next };
+  };
+
+  test('should accept a bearer token or X-Admin-Key header', () => {
+    expect(runMiddleware('secret', { authorization: 'Bearer secret' }).next).toHaveBeenCalled();
+    expect(runMiddleware('secret', { 'x-admin-key': 'secret' }).next).toHaveBeenCalled();
+  });
+
+  test('should reject missing or wrong keys with 401', () => {
+    const missing = runMiddleware('secret');
+    const wrong = runMiddleware('secret', { authorization: 'Bearer secre' });
+
+    expect(missing.next).not.toHaveBeenCalled();
+    expect(missing.res.status).toHaveBeenCalledWith(401);
+    expect(wrong.next).not.toHaveBeenCalled();
+    expect(wrong.res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('should disable admin endpoints when no key is configured', () => {
+    const { res, next } = runMiddleware(null, { authorization: 'Bearer anything' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
+
+describe('LLMConfigManager reload', () => {
+  let configDir;
+  let configPath;
+
+  const writeConfig = (lines) => fs.writeFileSync(configPath, lines.join('\n'));
+  const ollamaConfig = (model) => [
+    'default_provider: ollama',
+    'providers:',
+    '  ollama:',
+    '    type: ollama',
+    `    model: ${model}`
+  ];
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-config-'));
+    configPath = path.join(configDir, 'llm-config.yaml');
+    writeConfig(ollamaConfig('llama2'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  test('should report whether the configuration changed', () => {
+    const manager = new LLMConfigManager(configPath);
+
+    expect(manager.reload()).toBe(false);
+
+    writeConfig(ollamaConfig('mistral'));
+    expect(manager.reload()).toBe(true);
+    expect(manager.getCurrentProviderConfig().model).toBe('mistral');
+  });
+
+  test('should keep the previous configuration when the new one is invalid', () => {
+    const manager = new LLMConfigManager(configPath);
+
+    writeConfig(['default_provider: ollama', 'providers:', '  ollama:', '    model: mistral']);
+    expect(() => manager.reload()).toThrow("Invalid LLM configuration: Provider 'ollama' missing type");
+    expect(manager.getCurrentProviderConfig().model).toBe('llama2');
+
+    writeConfig(['default_provider: ollama', 'providers: [']);
+    expect(() => manager.reload()).toThrow();
+    expect(manager.getCurrentProviderConfig().model).toBe('llama2');
+  });
+
+  test('should keep a provider switched at runtime across reloads', () => {
+    writeConfig([...ollamaConfig('llama2'), '  local:', '    type: ollama', '    model: mistral']);
+    const manager = new LLMConfigManager(configPath);
+
+    manager.setDefaultProvider('local');
+    writeConfig([...ollamaConfig('phi3'), '  local:', '    type: ollama', '    model: mistral']);
+    manager.reload();
+
+    expect(manager.getCurrentProviderConfig().name).toBe('local');
+    expect(() => manager.setDefaultProvider('gpt-5')).toThrow('Provider configuration not found: gpt-5');
+  });
+});
+
+describe('POST /api/admin/reload', () => {
+  const brokenPersonaPath = path.join(__dirname, '..', 'config', 'zz-admin-test-broken.yaml');
+
+  afterEach(() => {
+    fs.rmSync(brokenPersonaPath, { force: true });
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(AUDIT_LOG, { force: true });
+  });
+
+  test('should require the admin key', async () => {
+    await request(app)
+      .post('/api/admin/reload')
+      .expect(401);
+
+    await request(app)
+      .post('/api/admin/reload')
+      .set('Authorization', 'Bearer wrong-key')
+      .expect(401);
+  });
+
+  test('should reload personas and leave an unchanged provider in place', async () => {
+    const response = await request(app)
+      .post('/api/admin/reload')
+      .set('Authorization', `Bearer ${ADMIN_API_KEY}`)
+      .expect(200);
+
+    expect(response.body.personas).toEqual({ status: 'reloaded', count: 4 });
+    expect(response.body.llm).toEqual({ status: 'unchanged', provider_rebuilt: false, provider: expect.any(String) });
+  });
+
+  test('should rebuild changed providers once in-flight requests have drained', async () => {
+    nock(OLLAMA_URL)
+      .post('/api/chat')
+      .delay(300)
+      .reply(200, chatReply('Pools are closed on holidays.'));
+    jest.spyOn(LLMConfigManager.prototype, 'reload').mockReturnValueOnce(true);
+
+    // Start a chat request on the current providers, then reload while it runs
+    const chat = request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'Are the pools open on holidays?' })
+      .then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const response = await request(app)
+      .post('/api/admin/reload')
+      .set('Authorization', `Bearer ${ADMIN_API_KEY}`)
+      .expect(200);
+
+    expect(response.body.llm).toMatchObject({ status: 'reloaded', provider_rebuilt: true, drain: { in_flight: 1, drained: true } });
+    expect((await chat).status).toBe(200);
+    expect(readAudit().pop()).toMatchObject({ action: 'config_reload', llm: 'reloaded', in_flight: 1, drained: true });
+  });
+
+  test('should keep serving the previous personas when a file is invalid', async () => {
+    fs.writeFileSync(brokenPersonaPath, 'persona: "zz-admin-test-broken"\nsystem_prompt: 42\n');
+
+    const response = await request(app)
+      .post('/api/admin/reload')
+      .set('X-Admin-Key', ADMIN_API_KEY)
+      .expect(422);
+
+    expect(response.body.personas.status).toBe('failed');
+    expect(response.body.personas.errors).toEqual([
+      { file: 'zz-admin-test-broken.yaml', path: 'system_prompt', problem: 'must be string (got integer)' }
+    ]);
+
+    const personas = await request(app)
+      .get('/api/personas')
+      .expect(200);
+
+    expect(personas.body.count).toBe(4);
+  });
+});
+
+describe('POST /api/admin/provider', () => {
+  const VLLM_URL = 'http://vllm:8000';
+  const switchProvider = (provider) => request(app)
+    .post('/api/admin/provider')
+    .set('Authorization', `Bearer ${ADMIN_API_KEY}`)
+    .send({ provider });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    fs.rmSync(AUDIT_LOG, { force: true });
+  });
+
+  test('should require the admin key', async () => {
+    await request(app)
+      .post('/api/admin/provider')
+      .send({ provider: 'vllm' })
+      .expect(401);
+  });
+
+  test('should reject providers that are not configured', async () => {
+    const response = await switchProvider('gpt-5').expect(400);
+
+    expect(response.body.error).toBe('Unknown provider');
+    expect(response.body.available).toContain('vllm');
+  });
+
+  test('should refuse to switch to an unhealthy provider', async () => {
+    nock(VLLM_URL).get('/v1/models').reply(503);
+
+    const response = await switchProvider('vllm').expect(422);
+
+    expect(response.body.error).toBe('Provider failed health check');
+    expect(response.body.current).toBe('ollama');
+    expect(readAudit().pop()).toMatchObject({ action: 'provider_switch', from: 'ollama', to: 'vllm', outcome: 'rejected' });
+
+    const providers = await request(app).get('/api/providers').expect(200);
+    expect(providers.body.current.name).toBe('ollama');
+  });
+
+  test('should drain in-flight requests and switch to a healthy provider', async () => {
+    nock(OLLAMA_URL)
+      .post('/api/chat')
+      .delay(300)
+      .reply(200, chatReply('The pool opens at 9am.'));
+    nock(VLLM_URL).get('/v1/models').reply(200, { data: [{ id: 'microsoft/Phi-3-mini-4k-instruct' }] });
+
+    // Start a chat request on the current provider, then switch while it runs
+    const chat = request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'When does the pool open?' })
+      .then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const response = await switchProvider('vllm').expect(200);
+    const chatResponse = await chat;
+
+    expect(response.body).toMatchObject({
+      status: 'switched',
+      previous: 'ollama',
+      provider: 'vllm',
+      drain: { in_flight: 1, drained: true }
+    });
+    expect(chatResponse.status).toBe(200);
+    expect(chatResponse.body.failover.served_by).toBe('ollama');
+    expect(readAudit().pop()).toMatchObject({ action: 'provider_switch', from: 'ollama', to: 'vllm', outcome: 'switched', in_flight: 1 });
+
+    const providers = await request(app).get('/api/providers').expect(200);
+    expect(providers.body.current.name).toBe('vllm');
+
+    // Switch back for the remaining tests
+    nock(OLLAMA_URL).get('/api/tags').reply(200, { models: [{ name: 'phi3:mini' }] });
+    await switchProvider('ollama').expect(200);
+  });
+
+  test('should report when the provider is already active', async () => {
+    const response = await switchProvider('ollama').expect(200);
+
+    expect(response.body.status).toBe('unchanged');
+  });
+});
+
+describe('Model management', () => {
+  const pull = (provider, body) => request(app)
+    .post(`/api/providers/${provider}/models/pull`)
+    .set('Authorization', `Bearer ${ADMIN_API_KEY}`)
+    .send(body);
+
+  const parseEvents = (text) => text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    fs.rmSync(AUDIT_LOG, { force: true });
+  });
+
+  test('GET /api/providers/:name/models should list the provider\'s models', async () => {
+    nock(OLLAMA_URL)
+      .get('/api/tags')
+      .reply(200, { models: [{ name: 'phi3:mini', size: 2176178913 }, { name: 'llama3:8b', size: 4661224676 }] });
+
+    const response = await request(app).get('/api/providers/ollama/models').expect(200);
+
+    expect(response.body).toMatchObject({ provider: 'ollama', type: 'ollama', configured_model: 'phi3:mini', count: 2 });
+    expect(response.body.models.map(model => model.name)).toEqual(['phi3:mini', 'llama3:8b']);
+
+    const mock = await request(app).get('/api/providers/mock/models').expect(200);
+    expect(mock.body.models).toEqual([{ id: 'mock-1', owned_by: 'mock' }]);
+
+    await request(app).get('/api/providers/gpt-5/models').expect(404);
+  });
+
+  test('pull should require the admin key and an Ollama provider', async () => {
+    await request(app).post('/api/providers/ollama/models/pull').send({ model: 'llama3:8b' }).expect(401);
+
+    const missing = await pull('ollama', {}).expect(400);
+    expect(missing.body.error).toBe('Model name is required');
+
+    const vllm = await pull('vllm', { model: 'llama3:8b' }).expect(400);
+    expect(vllm.body.error).toBe('Model pulls are only supported for Ollama providers');
+  });
+
+  test('pull should stream download progress as Server-Sent Events', async () => {
+    nock(OLLAMA_URL)
+      .post('/api/pull', { name: 'llama3:8b', stream: true })
+      .reply(200, [
+        { status: 'pulling manifest' },
+        { status: 'pulling 6a0746a1ec1a', digest: 'sha256:6a0746a1ec1a', total: 4000, completed: 1000 },
+        { status: 'pulling 6a0746a1ec1a', digest: 'sha256:6a0746a1ec1a', total: 4000, completed: 4000 },
+        { status: 'success' }
+      ].map(chunk => JSON.stringify(chunk)).join('\n'));
+
+    const response = await pull('ollama', { model: 'llama3:8b' }).expect(200);
+    const events = parseEvents(response.text);
+
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(events.map(event => event.event)).toEqual(['progress', 'progress', 'progress', 'progress', 'done']);
+    expect(events[1].data).toMatchObject({ total: 4000, completed: 1000, percent: 25 });
+    expect(events[4].data).toMatchObject({ status: 'success', provider: 'ollama', model: 'llama3:8b' });
+    expect(fs.readFileSync(AUDIT_LOG, 'utf8')).toContain('"action":"model_pull","actor"');
+  });
+
+  test('pull should report errors before the download starts as JSON', async () => {
+    nock(OLLAMA_URL)
+      .post('/api/pull')
+      .reply(200, JSON.stringify({ error: 'pull model manifest: file does not exist' }));
+
+    const response = await pull('ollama', { model: 'not-a-model' }).expect(502);
+
+    expect(response.body.error).toBe('Failed to pull model');
+    expect(response.body.details).toBe('Ollama pull failed: pull model manifest: file does not exist');
+  });
+});
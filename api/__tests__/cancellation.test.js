@@ -0,0 +1,180 @@
+const nock = require('nock');
+const request = require('supertest');
+const { useOllamaStandIn, chatReply, createOllama } = require('./helpers');
+
+// Use a local Ollama stand-in and a short generation timeout before loading the server
+const OLLAMA_URL = 'http://ollama-cancellation.test:11434';
+useOllamaStandIn(OLLAMA_URL, { GENERATION_TIMEOUT: '500' });
+
+const app = require('../server');
+const FailoverProvider = require('../providers/failover-provider');
+const { ConcurrencyLimiter } = require('../providers/concurrency-limiter');
+const { sleep } = require('../providers/abort-utils');
+
+const STANDALONE_URL = 'http://ollama-cancellation-standalone.test:11434';
+const reply = chatReply('The pool opens at 9am.');
+const messages = [{ role: 'user', content: 'When does the pool open?' }];
+
+afterEach(() => {
+  nock.abortPendingRequests();
+  nock.cleanAll();
+});
+
+describe('Provider cancellation', () => {
+  const createProvider = (config = {}) => createOllama(STANDALONE_URL, config);
+
+  test('sleep should end early when the signal fires', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+
+    setTimeout(() => controller.abort(new Error('stop')), 20);
+
+    await expect(sleep(5000, controller.signal)).rejects.toThrow('stop');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should abort an in-flight request when the signal fires', async () => {
+    nock(STANDALONE_URL).post('/api/chat').delay(2000).reply(200, reply);
+    const controller = new AbortController();
+    const started = Date.now();
+
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(createProvider().generateChat(messages, { signal: controller.signal })).rejects.toThrow('canceled');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should stop retrying once the signal fires', async () => {
+    const scope = nock(STANDALONE_URL).post('/api/chat').reply(503).post('/api/chat').reply(200, reply);
+    const controller = new AbortController();
+    const provider = createProvider({ maxRetries: 3, retryDelay: 5000 });
+
+    setTimeout(() => controller.abort(new Error('Client disconnected')), 50);
+
+    await expect(provider.generateChat(messages, { signal: controller.signal })).rejects.toThrow('Client disconnected');
+    expect(scope.pendingMocks()).toHaveLength(1);
+  });
+
+  test('should not fail over or count a failure for a cancelled request', async () => {
+    const failover = new FailoverProvider([
+      { name: 'primary', provider: createProvider({ maxRetries: 3, retryDelay: 5000 }) },
+      { name: 'backup', provider: createProvider({ url: 'http://ollama-cancellation-backup.test:11434' }) }
+    ], { probeInterval: 60000 });
+    const controller = new AbortController();
+
+    // The abort reason looks like a timeout, which would normally fail over
+    nock(STANDALONE_URL).post('/api/chat').reply(503);
+    const backupScope = nock('http://ollama-cancellation-backup.test:11434').post('/api/chat').reply(200, reply);
+    setTimeout(() => controller.abort(Object.assign(new Error('Generation timed out'), { code: 'ETIMEDOUT' })), 50);
+
+    await expect(failover.generateChat(messages, { signal: controller.signal })).rejects.toThrow();
+    expect(backupScope.isDone()).toBe(false);
+    expect(failover.getCircuitStatus().primary.consecutive_failures).toBe(0);
+    expect(failover.entries[0].healthy).toBe(true);
+    failover.close();
+  });
+
+  test('should count a provider that hangs until the generation timeout as failed', async () => {
+    const failover = new FailoverProvider([
+      { name: 'primary', provider: createProvider() }
+    ], { probeInterval: 60000, circuitBreaker: { failureThreshold: 2 } });
+
+    const generateUntilTimeout = () => failover.generateChat(messages, { timeout: 50 });
+
+    nock(STANDALONE_URL).post('/api/chat').times(2).delay(2000).reply(200, reply);
+
+    await expect(generateUntilTimeout()).rejects.toMatchObject({ code: 'ECANCELLED', reason: 'timeout' });
+    expect(failover.entries[0].healthy).toBe(false);
+    expect(failover.getCircuitStatus().primary).toMatchObject({ state: 'closed', consecutive_failures: 1 });
+
+    await expect(generateUntilTimeout()).rejects.toThrow();
+    expect(failover.getCircuitStatus().primary).toMatchObject({ state: 'open', last_error: 'Generation timed out after 50ms' });
+    failover.close();
+  });
+
+  test('should start the generation timeout once the provider takes the request', async () => {
+    const failover = new FailoverProvider([
+      { name: 'primary', provider: createProvider(), limiter: new ConcurrencyLimiter('primary', { maxConcurrent: 1 }) }
+    ], { probeInterval: 60000, circuitBreaker: { failureThreshold: 1 } });
+
+    // Each answer takes 150ms, so the second request waits 150ms in the queue
+    // and finishes after 300ms, but its attempt stays within the 250ms timeout
+    nock(STANDALONE_URL).post('/api/chat').times(2).delay(150).reply(200, reply);
+
+    const responses = await Promise.all([
+      failover.generateChat(messages, { timeout: 250 }),
+      failover.generateChat(messages, { timeout: 250 })
+    ]);
+
+    expect(responses[1].metadata.queue).toMatchObject({ position: 1 });
+    expect(failover.getCircuitStatus().primary).toMatchObject({ state: 'closed', consecutive_failures: 0 });
+    expect(failover.entries[0].healthy).toBe(true);
+    failover.close();
+  });
+
+  test('should not count a request cancelled while queued against the provider', async () => {
+    const failover = new FailoverProvider([
+      { name: 'primary', provider: createProvider(), limiter: new ConcurrencyLimiter('primary', { maxConcurrent: 1 }) }
+    ], { probeInterval: 60000, circuitBreaker: { failureThreshold: 1 } });
+    const controller = new AbortController();
+
+    nock(STANDALONE_URL).post('/api/chat').delay(150).reply(200, reply);
+    setTimeout(() => controller.abort(Object.assign(new Error('Client disconnected'), { code: 'ECANCELLED', reason: 'client_disconnect' })), 50);
+
+    const [first, second] = await Promise.allSettled([
+      failover.generateChat(messages, { timeout: 1000 }),
+      failover.generateChat(messages, { timeout: 1000, signal: controller.signal })
+    ]);
+
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason.message).toBe('Client disconnected');
+    expect(failover.getCircuitStatus().primary.consecutive_failures).toBe(0);
+    expect(failover.entries[0].healthy).toBe(true);
+    failover.close();
+  });
+});
+
+describe('Chat API cancellation', () => {
+  const cancellations = async () => (await request(app).get('/api/providers').expect(200)).body.cancellations;
+
+  test('should abort generation and return 504 after GENERATION_TIMEOUT', async () => {
+    nock(OLLAMA_URL).post('/api/chat').delay(3000).reply(200, reply);
+    const before = await cancellations();
+
+    const response = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'When does the pool open?' })
+      .expect(504);
+
+    expect(response.body.error).toBe('The AI service took too long to respond');
+    expect(response.body.details).toBe('Generation timed out after 500ms');
+    expect((await cancellations()).timeouts).toBe(before.timeouts + 1);
+  });
+
+  test('should not count time spent in the provider queue towards GENERATION_TIMEOUT', async () => {
+    // Ollama takes two requests at once (see llm-config.yaml), so the third
+    // waits 300ms for a slot and finishes after 600ms
+    nock(OLLAMA_URL).post('/api/chat').times(3).delay(300).reply(200, reply);
+
+    const responses = await Promise.all(['library', 'museum', 'skate park'].map(place => request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: `When does the ${place} open?` })));
+
+    expect(responses.map(response => response.status)).toEqual([200, 200, 200]);
+    expect(responses.map(response => response.body.queue.position)).toContain(1);
+  });
+
+  test('should abort generation when the client disconnects', async () => {
+    nock(OLLAMA_URL).post('/api/chat').delay(3000).reply(200, reply);
+    const before = await cancellations();
+
+    await expect(request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'When does the pool open?' })
+      .timeout(100)).rejects.toThrow();
+
+    // Give the server a moment to notice the closed connection
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect((await cancellations()).client_disconnects).toBe(before.client_disconnects + 1);
+  });
+});
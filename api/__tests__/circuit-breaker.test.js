@@ -0,0 +1,243 @@
+const nock = require('nock');
+const request = require('supertest');
+const { useOllamaStandIn, chatReply, createOllama } = require('./helpers');
+
+// Use a local Ollama stand-in without retries before loading the server, so
+// each failed chat request counts as exactly one breaker failure
+const OLLAMA_URL = 'http://ollama-breaker.test:11434';
+useOllamaStandIn(OLLAMA_URL, { MAX_RETRIES: '0' });
+
+const app = require('../server');
+const FailoverProvider = require('../providers/failover-provider');
+const { CircuitBreaker } = require('../providers/circuit-breaker');
+
+const PRIMARY_URL = 'http://ollama-breaker-primary.test:11434';
+const BACKUP_URL = 'http://ollama-breaker-backup.test:11434';
+
+const messages = [
+  { role: 'system', content: 'You are a parks assistant.' },
+  { role: 'user', content: 'Which park has a pool?' }
+];
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should open after the failure threshold and reject requests', () => {
+    const breaker = new CircuitBreaker('ollama', { failureThreshold: 2, resetTimeout: 1000 });
+
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.recordFailure(new Error('timeout'));
+    expect(breaker.state).toBe('closed');
+
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.recordFailure(new Error('timeout'));
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getRetryAfterMs()).toBe(1000);
+  });
+
+  test('should reset the consecutive failure count on success', () => {
+    const breaker = new CircuitBreaker('ollama', { failureThreshold: 2 });
+
+    breaker.recordFailure(new Error('timeout'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('timeout'));
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.getStatus()).toMatchObject({ consecutive_failures: 1, recent_failures: 2 });
+  });
+
+  test('should let one trial request through after the reset timeout and close on success', () => {
+    const breaker = new CircuitBreaker('ollama', { failureThreshold: 1, resetTimeout: 1000 });
+    breaker.recordFailure(new Error('timeout'));
+
+    now += 1000;
+
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('should reopen when the trial request fails', () => {
+    const breaker = new CircuitBreaker('ollama', { failureThreshold: 3, resetTimeout: 1000 });
+    breaker.open();
+
+    now += 1000;
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.recordFailure(new Error('still down'));
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.getRetryAfterMs()).toBe(1000);
+  });
+
+  test('should free the trial slot when released', () => {
+    const breaker = new CircuitBreaker('ollama', { failureThreshold: 1, resetTimeout: 1000 });
+    breaker.recordFailure(new Error('timeout'));
+
+    now += 1000;
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.release();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('should only count failures inside the window as recent', () => {
+    const breaker = new CircuitBreaker('ollama', { failureThreshold: 10, failureWindow: 5000 });
+
+    breaker.recordFailure(new Error('timeout'));
+    now += 6000;
+    breaker.recordFailure(new Error('timeout'));
+
+    expect(breaker.getStatus()).toMatchObject({
+      state: 'closed',
+      consecutive_failures: 2,
+      recent_failures: 1,
+      last_error: 'timeout'
+    });
+  });
+});
+
+describe('FailoverProvider circuit breakers', () => {
+  let provider;
+
+  afterEach(() => {
+    provider.close();
+    nock.cleanAll();
+  });
+
+  test('should skip a provider with an open circuit without sending a request', async () => {
+    provider = new FailoverProvider([
+      { name: 'primary', provider: createOllama(PRIMARY_URL) },
+      { name: 'backup', provider: createOllama(BACKUP_URL) }
+    ], { probeInterval: 60000, circuitBreaker: { failureThreshold: 1 } });
+
+    nock(PRIMARY_URL).post('/api/chat').reply(503, { error: 'overloaded' });
+    nock(BACKUP_URL).post('/api/chat').times(2).reply(200, chatReply('Lincoln Park.'));
+
+    await provider.generateChat(messages);
+    expect(provider.getCircuitStatus().primary.state).toBe('open');
+
+    // Even once the primary passes its health probe, its circuit keeps it out
+    provider.entries[0].healthy = true;
+    const response = await provider.generateChat(messages);
+
+    expect(response.metadata.failover.served_by).toBe('backup');
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('should fail fast with a 503 error when every circuit is open', async () => {
+    provider = new FailoverProvider([
+      { name: 'primary', provider: createOllama(PRIMARY_URL) }
+    ], { probeInterval: 60000, circuitBreaker: { failureThreshold: 2, resetTimeout: 30000 } });
+
+    nock(PRIMARY_URL).post('/api/chat').times(2).replyWithError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+
+    await expect(provider.generateChat(messages)).rejects.toThrow();
+    await expect(provider.generateChat(messages)).rejects.toThrow();
+
+    const error = await provider.generateChat(messages).catch(err => err);
+
+    expect(error.code).toBe('ECIRCUITOPEN');
+    expect(error.status).toBe(503);
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+    expect(error.message).toContain('circuit open for primary');
+  });
+
+  test('should not count client errors as failures', async () => {
+    provider = new FailoverProvider([
+      { name: 'primary', provider: createOllama(PRIMARY_URL) }
+    ], { probeInterval: 60000, circuitBreaker: { failureThreshold: 1 } });
+
+    nock(PRIMARY_URL).post('/api/chat').reply(400, { error: 'bad request' });
+
+    await expect(provider.generateChat(messages)).rejects.toThrow();
+
+    expect(provider.getCircuitStatus().primary).toMatchObject({ state: 'closed', consecutive_failures: 0 });
+  });
+
+  test('should count stream connection failures', async () => {
+    provider = new FailoverProvider([
+      { name: 'primary', provider: createOllama(PRIMARY_URL) }
+    ], { probeInterval: 60000, circuitBreaker: { failureThreshold: 1 } });
+
+    nock(PRIMARY_URL).post('/api/chat').reply(502, 'Bad Gateway');
+
+    const consume = async () => {
+      const chunks = [];
+      for await (const chunk of provider.streamChat(messages)) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    };
+
+    await expect(consume()).rejects.toThrow();
+    await expect(consume()).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+  });
+});
+
+describe('Circuit breaker API', () => {
+  afterAll(() => {
+    nock.cleanAll();
+  });
+
+  test('should report breaker state on the provider endpoints', async () => {
+    const providers = await request(app).get('/api/providers').expect(200);
+
+    expect(providers.body.circuit_breakers.ollama).toMatchObject({
+      state: 'closed',
+      consecutive_failures: 0,
+      recent_failures: 0,
+      failure_threshold: 5
+    });
+
+    nock(OLLAMA_URL).get('/api/tags').reply(200, { models: [{ name: 'phi3:mini' }] });
+    const status = await request(app).get('/api/provider/status').expect(200);
+
+    expect(status.body.config.failover.providers[0].circuit).toMatchObject({ state: 'closed' });
+  });
+
+  test('should return 503 with Retry-After once the circuit opens', async () => {
+    nock(OLLAMA_URL).post('/api/chat').times(5).reply(503, { error: 'overloaded' });
+
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post('/api/chat/parks-recreation')
+        .send({ message: 'When is the pool open?' })
+        .expect(500);
+    }
+
+    // No Ollama interceptor left: this request must not reach the backend
+    const response = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'When is the pool open?' })
+      .expect(503);
+
+    expect(response.headers['retry-after']).toBe('30');
+    expect(response.body.error).toBe('The AI service is temporarily unavailable');
+    expect(response.body.retry_after).toBe(30);
+
+    const providers = await request(app).get('/api/providers').expect(200);
+    expect(providers.body.circuit_breakers.ollama).toMatchObject({
+      state: 'open',
+      consecutive_failures: 5,
+      recent_failures: 5
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const request = require('supertest');
+const { useOllamaStandIn, chatReply } = require('./helpers');
+
+// Use a local Ollama stand-in and a temporary index directory before loading the server
+const OLLAMA_URL = 'http://ollama-citations.test:11434';
+const INDEX_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'citations-index-'));
+useOllamaStandIn(OLLAMA_URL, { MAX_RETRIES: '0', KNOWLEDGE_INDEX_DIR: INDEX_DIR });
+
+const app = require('../server');
+const KnowledgeBase = require('../retrieval/knowledge-base');
+const { checkCitations } = require('../retrieval/citations');
+
+const passages = [
+  { source: 'fees.md', title: 'Fees', url: 'https://parks.example.gov/fees', section: 'Pool Admission', text: 'Daily pool admission is $5 for adults.' },
+  { source: 'hours.md', title: 'Park Hours', url: null, section: null, text: `Parks open at dawn. ${'Trails close at dusk. '.repeat(20)}` }
+];
+
+afterAll(() => {
+  fs.rmSync(INDEX_DIR, { recursive: true, force: true });
+});
+
+describe('checkCitations', () => {
+  test('should turn each cited marker into one citation, ordered by marker', () => {
+    const { text, citations, invalid } = checkCitations('Parks open at dawn [2]. Admission is $5 [1, 2]. Again [1].', passages);
+
+    expect(text).toBe('Parks open at dawn [2]. Admission is $5 [1, 2]. Again [1].');
+    expect(invalid).toBe(0);
+    expect(citations.map(citation => citation.marker)).toEqual([1, 2]);
+    expect(citations[0]).toEqual({
+      marker: 1,
+      title: 'Fees',
+      section: 'Pool Admission',
+      url: 'https://parks.example.gov/fees',
+      path: 'fees.md',
+      snippet: 'Daily pool admission is $5 for adults.'
+    });
+    expect(citations[1]).toMatchObject({ marker: 2, section: null, url: null, path: 'hours.md' });
+  });
+
+  test('should shorten long passages to a snippet ending at a word', () => {
+    const { citations } = checkCitations('See [2].', passages);
+
+    expect(citations[0].snippet.length).toBeLessThanOrEqual(201);
+    expect(citations[0].snippet).toMatch(/^Parks open at dawn\. Trails close at dusk\..*[\w.]…$/);
+  });
+
+  test('should remove markers that match no retrieved passage', () => {
+    const { text, citations, invalid } = checkCitations('Admission is $5 [3]. Parks open at dawn [2, 7]. Hours vary [0].', passages);
+
+    expect(text).toBe('Admission is $5. Parks open at dawn [2]. Hours vary.');
+    expect(invalid).toBe(3);
+    expect(citations.map(citation => citation.marker)).toEqual([2]);
+  });
+
+  test('should remove marker numbers that match no retrieved passage', () => {
+    const { text, citations, invalid } = checkCitations('Admission is $5 [1, 3]. Parks open at dawn [0, 2, 7].', passages);
+
+    expect(text).toBe('Admission is $5 [1]. Parks open at dawn [2].');
+    expect(invalid).toBe(3);
+    expect(citations.map(citation => citation.marker)).toEqual([1, 2]);
+  });
+
+  test('should leave bracketed numbers that cannot be markers alone', () => {
+    const { text, citations, invalid } = checkCitations('The [2024] fee schedule applies [1]. See section [12, 13].', passages);
+
+    expect(text).toBe('The [2024] fee schedule applies [1]. See section [12, 13].');
+    expect(invalid).toBe(0);
+    expect(citations.map(citation => citation.marker)).toEqual([1]);
+  });
+
+  test('should leave Markdown links alone', () => {
+    const { text, invalid } = checkCitations('See [4](https://parks.example.gov/4).', passages);
+
+    expect(text).toBe('See [4](https://parks.example.gov/4).');
+    expect(invalid).toBe(0);
+  });
+});
+
+describe('Chat API citations', () => {
+  beforeAll(async () => {
+    // Index the sample parks documents shipped in api/knowledge
+    await new KnowledgeBase({ indexDirectory: INDEX_DIR }).ingest('parks-recreation', { knowledge: { directory: 'parks-recreation' } });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should ask the model to cite passages and return the cited sources', async () => {
+    let messages;
+    nock(OLLAMA_URL).post('/api/chat', body => {
+      messages = body.messages;
+      return true;
+    }).reply(200, chatReply('Daily pool admission is $5 for adults [1].'));
+
+    const response = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'How much is daily pool admission for adults?', cache: false })
+      .expect(200);
+
+    expect(messages[0].content).toContain('Cite the retrieved documents you use by their id in square brackets');
+    expect(response.body.response).toBe('Daily pool admission is $5 for adults [1].');
+    expect(response.body.citations).toEqual([{
+      marker: 1,
+      title: 'Facility Rental and Program Fees (sample)',
+      section: 'Pool Admission',
+      url: 'https://parks.example.gov/fees',
+      path: 'facility-fees.md',
+      snippet: expect.stringContaining('Daily pool admission is $3')
+    }]);
+  });
+
+  test('should strip marker numbers for passages that were not retrieved', async () => {
+    nock(OLLAMA_URL).post('/api/chat').reply(200, chatReply('Daily pool admission is $5 for adults [1, 9]. Children pay $3 [9]. Rates are from the [2024] schedule.'));
+
+    const response = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'How much is daily pool admission for adults?', cache: false })
+      .expect(200);
+
+    expect(response.body.response).toBe('Daily pool admission is $5 for adults [1]. Children pay $3. Rates are from the [2024] schedule.');
+    expect(response.body.citations.map(citation => citation.marker)).toEqual([1]);
+  });
+
+  test('should serve the citations of a cached answer', async () => {
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('A summer pass costs $45 [1].'));
+
+    const question = { message: 'What does a summer pool pass cost?' };
+    const first = await request(app).post('/api/chat/parks-recreation').send(question).expect(200);
+    const second = await request(app).post('/api/chat/parks-recreation').send(question).expect(200);
+
+    expect(second.body.cache.hit).toBe(true);
+    expect(second.body.citations).toEqual(first.body.citations);
+    expect(second.body.citations).toHaveLength(1);
+  });
+
+  test('should not add citations for personas without a knowledge block', async () => {
+    nock(OLLAMA_URL).post('/api/chat', body => {
+      expect(body.messages[0].content).not.toContain('Cite the retrieved documents');
+      return true;
+    }).reply(200, chatReply('Form 2 [1] is the claim form.'));
+
+    const response = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'Which form do I need?', cache: false })
+      .expect(200);
+
+    expect(response.body.response).toBe('Form 2 [1] is the claim form.');
+    expect(response.body.citations).toBeUndefined();
+  });
+});
@@ -0,0 +1,186 @@
+const nock = require('nock');
+const request = require('supertest');
+const { useOllamaStandIn, chatReply } = require('./helpers');
+
+// Use a local Ollama stand-in without retries before loading the server; the
+// ollama provider allows two requests at once (see llm-config.yaml)
+const OLLAMA_URL = 'http://ollama-concurrency.test:11434';
+useOllamaStandIn(OLLAMA_URL, { MAX_RETRIES: '0' });
+
+const app = require('../server');
+const MockProvider = require('../providers/mock-provider');
+const FailoverProvider = require('../providers/failover-provider');
+const { ConcurrencyLimiter } = require('../providers/concurrency-limiter');
+
+const messages = [
+  { role: 'system', content: 'You are a parks assistant.' },
+  { role: 'user', content: 'Which park has a pool?' }
+];
+
+describe('ConcurrencyLimiter', () => {
+  test('should queue requests beyond the limit and serve them in arrival order', async () => {
+    const limiter = new ConcurrencyLimiter('ollama', { maxConcurrent: 1 });
+    const order = [];
+
+    const first = await limiter.acquire();
+    expect(first).toEqual({ provider: 'ollama', position: 0, wait_ms: 0 });
+
+    const second = limiter.acquire().then(ticket => order.push(['second', ticket.position]));
+    const third = limiter.acquire().then(ticket => order.push(['third', ticket.position]));
+    expect(limiter.getStatus()).toMatchObject({ active: 1, queued: 2, max_concurrent: 1, max_queue: null });
+
+    limiter.release();
+    await second;
+    limiter.release();
+    await third;
+
+    expect(order).toEqual([['second', 1], ['third', 2]]);
+    expect(limiter.getStatus()).toMatchObject({ active: 1, queued: 0, served: 3 });
+  });
+
+  test('should serve higher priority requests first', async () => {
+    const limiter = new ConcurrencyLimiter('ollama', { maxConcurrent: 1 });
+    const order = [];
+
+    await limiter.acquire();
+    const waiting = [
+      limiter.acquire({ priority: 'low' }).then(() => order.push('low')),
+      limiter.acquire().then(() => order.push('normal')),
+      limiter.acquire({ priority: 'high' }).then(() => order.push('high')),
+      limiter.acquire({ priority: 'high' }).then(() => order.push('high (later)'))
+    ];
+
+    waiting.forEach(() => limiter.release());
+    await Promise.all(waiting);
+
+    expect(order).toEqual(['high', 'high (later)', 'normal', 'low']);
+  });
+
+  test('should reject with EQUEUEFULL and a retry estimate when the queue is full', async () => {
+    const limiter = new ConcurrencyLimiter('ollama', { maxConcurrent: 1, maxQueue: 1 });
+
+    await limiter.acquire();
+    const queued = limiter.acquire();
+
+    expect(limiter.isFull()).toBe(true);
+    const error = await limiter.acquire().catch(err => err);
+
+    expect(error.code).toBe('EQUEUEFULL');
+    expect(error.status).toBe(503);
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+    expect(limiter.getStatus()).toMatchObject({ queued: 1, rejected: 1 });
+
+    limiter.release();
+    await queued;
+  });
+
+  test('should drop a queued request when its signal aborts', async () => {
+    const limiter = new ConcurrencyLimiter('ollama', { maxConcurrent: 1 });
+    const controller = new AbortController();
+
+    await limiter.acquire();
+    const queued = limiter.acquire({ signal: controller.signal });
+    controller.abort(Object.assign(new Error('Client disconnected'), { code: 'ECANCELLED' }));
+
+    await expect(queued).rejects.toMatchObject({ code: 'ECANCELLED' });
+    expect(limiter.getStatus()).toMatchObject({ active: 1, queued: 0 });
+
+    // The freed slot is not handed to the cancelled request
+    limiter.release();
+    expect(limiter.getStatus().active).toBe(0);
+  });
+});
+
+describe('Failover with request queues', () => {
+  let provider;
+
+  afterEach(() => {
+    provider.close();
+  });
+
+  test('should skip a provider whose queue is full without counting a failure', async () => {
+    provider = new FailoverProvider([
+      { name: 'primary', provider: new MockProvider({ type: 'mock' }), limiter: new ConcurrencyLimiter('primary', { maxConcurrent: 1, maxQueue: 0 }) },
+      { name: 'backup', provider: new MockProvider({ type: 'mock', model: 'mock-backup' }) }
+    ], { probeInterval: 60000 });
+
+    await provider.entries[0].limiter.acquire();
+    const response = await provider.generateChat(messages);
+
+    expect(response.model).toBe('mock-backup');
+    expect(response.metadata.failover).toEqual({
+      served_by: 'backup',
+      failed_over: true,
+      attempts: [{ provider: 'primary', error: 'Queue full' }]
+    });
+    expect(response.metadata.queue).toEqual({ provider: 'backup', position: 0, wait_ms: 0 });
+    expect(provider.entries[0].healthy).toBe(true);
+    expect(provider.getCircuitStatus().primary.consecutive_failures).toBe(0);
+    expect(provider.entries[1].limiter.getStatus().active).toBe(0);
+  });
+
+  test('should hold a slot until a stream ends', async () => {
+    const limiter = new ConcurrencyLimiter('mock', { maxConcurrent: 1 });
+    provider = new FailoverProvider([{ name: 'mock', provider: new MockProvider({ type: 'mock' }), limiter }]);
+
+    const chunks = [];
+    for await (const chunk of provider.streamChat(messages)) {
+      expect(limiter.getStatus().active).toBe(1);
+      chunks.push(chunk);
+    }
+
+    expect(chunks[chunks.length - 1].metadata.queue).toMatchObject({ provider: 'mock', position: 0 });
+    expect(limiter.getStatus().active).toBe(0);
+  });
+});
+
+describe('Chat API concurrency limits', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+  });
+
+  test('should send at most two requests to Ollama and report the queue position', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    nock(OLLAMA_URL).post('/api/chat').times(3).reply(async () => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      inFlight--;
+      return [200, chatReply('Riverside Park has a public pool.')];
+    });
+
+    const responses = await Promise.all([1, 2, 3].map(() => request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'Which park has a pool?' })
+      .expect(200)));
+
+    expect(peak).toBe(2);
+    const positions = responses.map(response => response.body.queue.position).sort();
+    expect(positions).toEqual([0, 0, 1]);
+    expect(responses.find(response => response.body.queue.position === 1).body.queue.wait_ms).toBeGreaterThan(0);
+
+    const status = await request(app).get('/api/providers').expect(200);
+    expect(status.body.queues.ollama).toMatchObject({ active: 0, queued: 0, max_concurrent: 2, max_queue: 20 });
+  });
+
+  test('should return 503 with Retry-After when the queue is full', async () => {
+    jest.spyOn(ConcurrencyLimiter.prototype, 'isFull').mockReturnValue(true);
+
+    // No Ollama interceptor: this request must not reach the backend
+    const response = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'How do I apply for unemployment?' })
+      .expect(503);
+
+    expect(response.headers['retry-after']).toBe('1');
+    expect(response.body).toMatchObject({
+      error: 'The AI service is temporarily unavailable',
+      persona: 'unemployment-benefits',
+      retry_after: 1
+    });
+    expect(response.body.details).toMatch(/request queue for [\w-]+ is full/);
+  });
+});
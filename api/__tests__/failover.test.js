@@ -0,0 +1,161 @@
+const nock = require('nock');
+const { chatReply, createOllama } = require('./helpers');
+const FailoverProvider = require('../providers/failover-provider');
+const LLMConfigManager = require('../config/llm-config-manager');
+const { createProviderError, isTransientError } = require('../providers/provider-errors');
+
+const PRIMARY_URL = 'http://ollama-primary.test:11434';
+const BACKUP_URL = 'http://ollama-backup.test:11434';
+
+const messages = [
+  { role: 'system', content: 'You are a parks assistant.' },
+  { role: 'user', content: 'Which park has a pool?' }
+];
+
+function createChain() {
+  return new FailoverProvider([
+    { name: 'primary', provider: createOllama(PRIMARY_URL) },
+    { name: 'backup', provider: createOllama(BACKUP_URL) }
+  ], { probeInterval: 60000 });
+}
+
+describe('Provider errors', () => {
+  test('should keep the status and code of the original error', () => {
+    const error = createProviderError('Ollama API error: 503', {
+      code: 'ERR_BAD_RESPONSE',
+      response: { status: 503 }
+    });
+
+    expect(error.message).toBe('Ollama API error: 503');
+    expect(error.status).toBe(503);
+    expect(error.code).toBe('ERR_BAD_RESPONSE');
+  });
+
+  test('should treat connection errors, timeouts, 429s and 5xx as transient', () => {
+    expect(isTransientError({ code: 'ECONNREFUSED' })).toBe(true);
+    expect(isTransientError({ code: 'ECONNABORTED' })).toBe(true);
+    expect(isTransientError({ status: 429 })).toBe(true);
+    expect(isTransientError({ status: 502 })).toBe(true);
+    expect(isTransientError({ status: 400 })).toBe(false);
+    expect(isTransientError({ status: 401 })).toBe(false);
+    expect(isTransientError(new Error('Messages must be a non-empty array'))).toBe(false);
+  });
+});
+
+describe('FailoverProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createChain();
+  });
+
+  afterEach(() => {
+    provider.close();
+    nock.cleanAll();
+  });
+
+  test('should answer from the primary while it is healthy', async () => {
+    nock(PRIMARY_URL).post('/api/chat').reply(200, chatReply('Lincoln Park.'));
+
+    const response = await provider.generateChat(messages);
+
+    expect(response.text).toBe('Lincoln Park.');
+    expect(response.metadata.failover).toEqual({ served_by: 'primary', failed_over: false, attempts: [] });
+  });
+
+  test('should fail over on connection errors and skip the unhealthy primary afterwards', async () => {
+    nock(PRIMARY_URL).post('/api/chat').replyWithError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+    nock(BACKUP_URL).post('/api/chat').times(2).reply(200, chatReply('Lincoln Park.'));
+
+    const first = await provider.generateChat(messages);
+    const second = await provider.generateChat(messages);
+
+    expect(first.metadata.failover).toEqual({
+      served_by: 'backup',
+      failed_over: true,
+      attempts: [{ provider: 'primary', error: 'Unable to connect to Ollama service. Please ensure it is running.' }]
+    });
+    expect(second.metadata.failover.attempts).toEqual([]);
+    expect(provider.getFailoverStatus()[0]).toMatchObject({ name: 'primary', healthy: false });
+    expect(provider.getConfigSummary().failover.active).toBe('backup');
+    expect(provider.model).toBe('phi3:mini');
+  });
+
+  test('should fail over on 5xx and 429 responses', async () => {
+    nock(PRIMARY_URL).post('/api/chat').reply(503);
+    nock(BACKUP_URL).post('/api/chat').reply(200, chatReply('Lincoln Park.'));
+
+    const response = await provider.generateChat(messages);
+
+    expect(response.metadata.failover.served_by).toBe('backup');
+  });
+
+  test('should not fail over on errors that another provider would repeat', async () => {
+    nock(PRIMARY_URL).post('/api/chat').reply(400, { error: 'bad request' });
+
+    await expect(provider.generateChat(messages)).rejects.toThrow('Ollama API error: 400');
+    expect(provider.getFailoverStatus()[0].healthy).toBe(true);
+  });
+
+  test('should report the last error when every provider fails', async () => {
+    nock(PRIMARY_URL).post('/api/chat').reply(500);
+    nock(BACKUP_URL).post('/api/chat').reply(502);
+
+    await expect(provider.generateChat(messages)).rejects.toThrow('Ollama API error: 502');
+  });
+
+  test('should fail back to the primary once its health check passes', async () => {
+    nock(PRIMARY_URL).post('/api/chat').reply(503);
+    nock(BACKUP_URL).post('/api/chat').reply(200, chatReply('From backup.'));
+    await provider.generateChat(messages);
+
+    nock(PRIMARY_URL).get('/api/tags').reply(200, { models: [] });
+    expect(await provider.probeUnhealthy()).toEqual(['primary']);
+
+    nock(PRIMARY_URL).post('/api/chat').reply(200, chatReply('From primary.'));
+    const response = await provider.generateChat(messages);
+
+    expect(response.text).toBe('From primary.');
+    expect(response.metadata.failover.served_by).toBe('primary');
+    expect(provider.probeTimer).toBeNull();
+  });
+
+  test('should fail over a stream that fails before the first chunk', async () => {
+    nock(PRIMARY_URL).post('/api/chat').replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+    nock(BACKUP_URL)
+      .post('/api/chat', body => body.stream === true)
+      .reply(200, [
+        JSON.stringify({ message: { role: 'assistant', content: 'Lincoln ' }, done: false }),
+        JSON.stringify({ message: { role: 'assistant', content: 'Park.' }, done: false }),
+        JSON.stringify({ message: { role: 'assistant', content: '' }, done: true })
+      ].join('\n'));
+
+    const chunks = [];
+    for await (const chunk of provider.streamChat(messages)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.filter(chunk => chunk.type === 'token').map(chunk => chunk.text)).toEqual(['Lincoln ', 'Park.']);
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      type: 'done',
+      text: 'Lincoln Park.',
+      metadata: { failover: { served_by: 'backup', failed_over: true } }
+    });
+  });
+});
+
+describe('Failover chain configuration', () => {
+  test('should list the default provider first without duplicates', () => {
+    const manager = new LLMConfigManager();
+    manager.config = {
+      default_provider: 'openai',
+      providers: {
+        ollama: { type: 'ollama', url: PRIMARY_URL },
+        openai: { type: 'openai', model: 'gpt-3.5-turbo' }
+      },
+      fallback_providers: ['ollama', 'openai', 'missing']
+    };
+
+    expect(manager.getProviderChain().map(config => config.name)).toEqual(['openai', 'ollama']);
+  });
+});
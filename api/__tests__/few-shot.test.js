@@ -0,0 +1,78 @@
+const request = require('supertest');
+const nock = require('nock');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { useOllamaStandIn, chatReply } = require('./helpers');
+
+// Point the default Ollama provider at a local stand-in before loading the server
+const OLLAMA_URL = 'http://ollama-few-shot.test:11434';
+useOllamaStandIn(OLLAMA_URL);
+
+const app = require('../server');
+
+const loadPersona = (persona) => yaml.load(
+  fs.readFileSync(path.join(__dirname, '..', 'config', `${persona}.yaml`), 'utf8')
+);
+
+// Same estimate the server uses (about four characters per token)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+describe('Few-shot persona examples', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  const sendAndCapture = async (persona, message) => {
+    let messages;
+    nock(OLLAMA_URL)
+      .post('/api/chat', body => {
+        messages = body.messages;
+        return true;
+      })
+      .reply(200, chatReply('Happy to help with that.'));
+
+    await request(app)
+      .post(`/api/chat/${persona}`)
+      .send({ message })
+      .expect(200);
+
+    return messages;
+  };
+
+  test.each(['unemployment-benefits', 'parks-recreation', 'business-licensing', 'default'])(
+    '%s should send examples as prior turns within its limits',
+    async (persona) => {
+      const config = loadPersona(persona);
+      const messages = await sendAndCapture(persona, 'Where can I find more information?');
+
+      const exampleTurns = messages.slice(1, -1);
+      const exampleCount = exampleTurns.length / 2;
+
+      expect(messages[0].role).toBe('system');
+      expect(exampleCount).toBeGreaterThan(0);
+      expect(exampleCount).toBeLessThanOrEqual(config.few_shot.max_examples);
+
+      let tokens = 0;
+      for (let i = 0; i < exampleCount; i++) {
+        const example = config.examples[i];
+        expect(exampleTurns[i * 2]).toEqual({
+          role: 'user',
+          content: expect.stringContaining(`<user_question>\n${example.user}\n</user_question>`)
+        });
+        expect(exampleTurns[i * 2 + 1]).toEqual({ role: 'assistant', content: example.assistant });
+        tokens += estimateTokens(example.user) + estimateTokens(example.assistant);
+      }
+
+      expect(tokens).toBeLessThanOrEqual(config.few_shot.token_budget);
+      expect(messages[messages.length - 1].content).toContain('Where can I find more information?');
+    }
+  );
+
+  test('should tell the model that examples are not part of the conversation', async () => {
+    const messages = await sendAndCapture('parks-recreation', 'Are dogs allowed on trails?');
+
+    expect(messages[0].content).toContain('exchange(s) are examples of the expected tone and format');
+    expect(messages[0].content).toContain('User messages contain the user\'s question within special tags');
+  });
+});
@@ -0,0 +1,207 @@
+const nock = require('nock');
+const request = require('supertest');
+const { useOllamaStandIn, chatReply, createOllama } = require('./helpers');
+
+// Use a local Ollama stand-in before loading the server
+const OLLAMA_URL = 'http://ollama-generation.test:11434';
+useOllamaStandIn(OLLAMA_URL, { OPENAI_API_KEY: undefined });
+
+const app = require('../server');
+const { resolveGenerationParams, validateGenerationOverrides } = require('../config/generation-params');
+const { validatePersonaConfig } = require('../config/persona-schema');
+const FailoverProvider = require('../providers/failover-provider');
+
+describe('resolveGenerationParams', () => {
+  const settings = { default_temperature: 0.6, default_max_tokens: 300, default_top_p: 0.9 };
+
+  test('should fall back to built-in defaults without any configuration', () => {
+    const { options, effective } = resolveGenerationParams({});
+
+    expect(options).toEqual({ temperature: 0.7, maxTokens: 300, topP: 0.9 });
+    expect(effective.sources).toEqual({ temperature: 'default', max_tokens: 'default', top_p: 'default' });
+  });
+
+  test('should not give Anthropic providers a default top_p', () => {
+    const defaults = resolveGenerationParams({ settings, providerConfig: { type: 'anthropic' } });
+
+    expect(defaults.options).toEqual({ temperature: 0.6, maxTokens: 300 });
+    expect(defaults.effective.sources).toEqual({ temperature: 'settings', max_tokens: 'settings' });
+
+    const configured = resolveGenerationParams({ settings, providerConfig: { type: 'anthropic', generation: { top_p: 0.8 } } });
+    expect(configured.options.topP).toBe(0.8);
+  });
+
+  test('should apply settings, provider, persona and request layers in order', () => {
+    const { options, effective } = resolveGenerationParams({
+      settings,
+      providerConfig: { generation: { max_tokens: 800, top_p: 0.8 } },
+      personaConfig: {
+        generation: {
+          max_tokens: 900,
+          stop: ['</answer>'],
+          overrides: { temperature: { min: 0, max: 0.5 } }
+        }
+      },
+      overrides: { temperature: 0.2 }
+    });
+
+    expect(options).toEqual({ temperature: 0.2, maxTokens: 900, topP: 0.8, stop: ['</answer>'] });
+    expect(effective).toEqual({
+      temperature: 0.2,
+      max_tokens: 900,
+      top_p: 0.8,
+      stop: ['</answer>'],
+      sources: { temperature: 'request', max_tokens: 'persona', top_p: 'provider', stop: 'persona' }
+    });
+  });
+
+  test('should keep a temperature of zero', () => {
+    const { options } = resolveGenerationParams({ settings, personaConfig: { generation: { temperature: 0 } } });
+
+    expect(options.temperature).toBe(0);
+  });
+});
+
+describe('validateGenerationOverrides', () => {
+  const bounds = { temperature: { min: 0, max: 0.7 }, max_tokens: { min: 100, max: 1000 } };
+
+  test('should accept values within the persona bounds', () => {
+    expect(() => validateGenerationOverrides({ temperature: 0.7, max_tokens: 100 }, bounds)).not.toThrow();
+  });
+
+  test('should reject parameters the persona does not allow', () => {
+    expect(() => validateGenerationOverrides({ top_p: 0.5 }, bounds))
+      .toThrow('Invalid generation parameters: top_p cannot be overridden for this persona');
+    expect(() => validateGenerationOverrides({ stop: ['x'] }, bounds))
+      .toThrow('stop cannot be set per request');
+    expect(() => validateGenerationOverrides({ temperature: 0.1 }, undefined))
+      .toThrow('temperature cannot be overridden for this persona');
+  });
+
+  test('should reject values outside the bounds or of the wrong type', () => {
+    expect(() => validateGenerationOverrides({ temperature: 0.9 }, bounds))
+      .toThrow('temperature must be between 0 and 0.7');
+    expect(() => validateGenerationOverrides({ max_tokens: 250.5 }, bounds))
+      .toThrow('max_tokens must be an integer');
+    expect(() => validateGenerationOverrides({ temperature: '0.5' }, bounds))
+      .toThrow('temperature must be a number');
+    expect(() => validateGenerationOverrides('hot', bounds))
+      .toThrow('generation must be an object');
+  });
+
+  test('should reject persona bounds with min above max', () => {
+    const problems = validatePersonaConfig({
+      system_prompt: 'You help residents with library services.',
+      generation: { overrides: { top_p: { min: 0.9, max: 0.5 } } }
+    }, 'library-services.yaml');
+
+    expect(problems).toEqual([{
+      file: 'library-services.yaml',
+      path: 'generation.overrides.top_p',
+      problem: 'min must not be greater than max (got 0.9 > 0.5)'
+    }]);
+  });
+});
+
+describe('Generation parameters with failover', () => {
+  const PRIMARY_URL = 'http://ollama-generation-primary.test:11434';
+  const BACKUP_URL = 'http://ollama-generation-backup.test:11434';
+  const settings = { default_temperature: 0.7, default_max_tokens: 300, default_top_p: 0.9 };
+  const messages = [{ role: 'user', content: 'When does the pool open?' }];
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should resolve the provider layer for the provider that is tried', async () => {
+    const provider = new FailoverProvider([
+      { name: 'primary', provider: createOllama(PRIMARY_URL, { generation: { max_tokens: 800, top_p: 0.5 } }) },
+      { name: 'backup', provider: createOllama(BACKUP_URL) }
+    ], { probeInterval: 60000 });
+
+    nock(PRIMARY_URL)
+      .post('/api/chat', body => body.options.num_predict === 800 && body.options.top_p === 0.5)
+      .reply(503, { error: 'overloaded' });
+    const backup = nock(BACKUP_URL)
+      .post('/api/chat', body => body.options.num_predict === 300 && body.options.top_p === 0.9)
+      .reply(200, chatReply('The pool opens at 9am.'));
+
+    const response = await provider.generateChat(messages, {
+      generation: providerConfig => resolveGenerationParams({ settings, providerConfig })
+    });
+
+    expect(backup.isDone()).toBe(true);
+    expect(response.metadata.failover.served_by).toBe('backup');
+    expect(response.metadata.generation).toEqual({
+      temperature: 0.7,
+      max_tokens: 300,
+      top_p: 0.9,
+      sources: { temperature: 'settings', max_tokens: 'settings', top_p: 'settings' }
+    });
+    provider.close();
+  });
+});
+
+describe('Generation parameters API', () => {
+  const reply = chatReply('You will need a business license.');
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should use the settings defaults for personas without a generation block', async () => {
+    const scope = nock(OLLAMA_URL)
+      .post('/api/chat', body => body.options.temperature === 0.7 && body.options.num_predict === 300 && body.options.top_p === 0.9)
+      .reply(200, reply);
+
+    const response = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'When does the pool open?' })
+      .expect(200);
+
+    expect(response.body.generation).toEqual({
+      temperature: 0.7,
+      max_tokens: 300,
+      top_p: 0.9,
+      sources: { temperature: 'settings', max_tokens: 'settings', top_p: 'settings' }
+    });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('should send the persona parameters and allowed request overrides', async () => {
+    const scope = nock(OLLAMA_URL)
+      .post('/api/chat', body => body.options.temperature === 0.1 && body.options.num_predict === 1200)
+      .reply(200, reply);
+
+    const response = await request(app)
+      .post('/api/chat/business-licensing')
+      .send({ message: 'Do I need a license for a food truck?', generation: { temperature: 0.1, max_tokens: 1200 } })
+      .expect(200);
+
+    expect(response.body.generation).toMatchObject({
+      temperature: 0.1,
+      max_tokens: 1200,
+      sources: { temperature: 'request', max_tokens: 'request', top_p: 'settings' }
+    });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('should reject overrides outside the persona bounds with 400', async () => {
+    const response = await request(app)
+      .post('/api/chat/business-licensing')
+      .send({ message: 'Do I need a license for a food truck?', generation: { max_tokens: 5000 } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid generation parameters');
+    expect(response.body.details).toBe('max_tokens must be between 200 and 1500');
+  });
+
+  test('should reject overrides for personas that allow none', async () => {
+    const response = await request(app)
+      .post('/api/chat/parks-recreation?stream=true')
+      .send({ message: 'When does the pool open?', generation: { temperature: 1.5 } })
+      .expect(400);
+
+    expect(response.body.details).toBe('temperature cannot be overridden for this persona');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Shared Test Helpers
+ *
+ * Chat API tests load the server with its default `ollama` provider pointed at
+ * a local stand-in URL whose requests nock intercepts, so no model is needed.
+ * This directory is excluded from jest's test paths (see package.json).
+ */
+
+const OllamaProvider = require('../../providers/ollama-provider');
+
+/**
+ * Set or remove an environment variable
+ * @param {string} key - Variable name
+ * @param {string|undefined} value - New value; undefined removes the variable
+ */
+function assignEnv(key, value) {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+}
+
+/**
+ * Set environment variables for the rest of the test file
+ * The server reads its configuration when it is loaded, so call this before
+ * requiring it. The previous values are restored after the file's tests.
+ * @param {Object} variables - Values keyed by variable name; undefined removes a variable
+ */
+function setTestEnv(variables) {
+  const original = {};
+
+  Object.entries(variables).forEach(([key, value]) => {
+    original[key] = process.env[key];
+    assignEnv(key, value);
+  });
+
+  afterAll(() => {
+    Object.entries(original).forEach(([key, value]) => assignEnv(key, value));
+  });
+}
+
+/**
+ * Point the server's default provider at a local Ollama stand-in
+ * @param {string} url - Stand-in base URL, intercepted with nock
+ * @param {Object} variables - Further environment variables (see setTestEnv)
+ */
+function useOllamaStandIn(url, variables = {}) {
+  setTestEnv({ LLM_PROVIDER: 'ollama', OLLAMA_URL: url, ...variables });
+}
+
+/**
+ * Build the body of a non-streaming Ollama /api/chat reply
+ * @param {string} content - Assistant message
+ * @returns {Object} Reply body
+ */
+function chatReply(content) {
+  return {
+    model: 'phi3:mini',
+    message: { role: 'assistant', content },
+    done: true
+  };
+}
+
+/**
+ * Create an Ollama provider for a stand-in URL
+ * Retries are covered in providers.test.js, so the provider fails on the
+ * first error unless `config` asks for retries.
+ * @param {string} url - Stand-in base URL, intercepted with nock
+ * @param {Object} config - Further provider configuration
+ * @returns {OllamaProvider} Provider
+ */
+function createOllama(url, config = {}) {
+  return new OllamaProvider({ type: 'ollama', url, maxRetries: 0, ...config });
+}
+
+module.exports = {
+  setTestEnv,
+  useOllamaStandIn,
+  chatReply,
+  createOllama
+};
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTestEnv } = require('./helpers');
+
+// Serve every persona from the mock provider - no HTTP stand-ins needed
+setTestEnv({ LLM_PROVIDER: 'mock', OPENAI_API_KEY: undefined });
+
+const app = require('../server');
+const ProviderFactory = require('../providers/provider-factory');
+const MockProvider = require('../providers/mock-provider');
+const { isTransientError } = require('../providers/provider-errors');
+
+const messages = (question) => [
+  { role: 'system', content: 'You are a parks assistant.' },
+  { role: 'user', content: `SECURITY BOUNDARY - USER INPUT BEGINS:\n<user_question>\n${question}\n</user_question>\nSECURITY BOUNDARY - USER INPUT ENDS` }
+];
+
+describe('MockProvider', () => {
+  let fixturesDir;
+  let provider;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-fixtures-'));
+    fs.writeFileSync(path.join(fixturesDir, 'fixtures.yaml'), [
+      'default_response: "Echo from {persona}: {question}"',
+      'responses:',
+      '  - persona: "parks-recreation"',
+      '    match: "pool"',
+      '    response: "The pool opens at 9am."',
+      '  - match: "pool|license"',
+      '    response: "Any persona may ask about {question}."',
+      '  - match: "outage"',
+      '    error:',
+      '      status: 503',
+      '      message: "Service Unavailable"',
+      '  - match: "invalid"',
+      '    error:',
+      '      status: 400'
+    ].join('\n'));
+
+    provider = ProviderFactory.createProvider({
+      name: 'mock',
+      type: 'mock',
+      fixtures: path.join(fixturesDir, 'fixtures.yaml'),
+      maxRetries: 0
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('should be created by the factory', () => {
+    expect(provider).toBeInstanceOf(MockProvider);
+    expect(provider.getProviderName()).toBe('Mock (mock-1)');
+  });
+
+  test('should match fixtures by persona and question', async () => {
+    const parks = await provider.generateChat(messages('When does the pool open?'), { persona: 'parks-recreation' });
+    const business = await provider.generateChat(messages('Is there a pool license?'), { persona: 'business-licensing' });
+
+    expect(parks.text).toBe('The pool opens at 9am.');
+    expect(parks.metadata.fixture).toBe(0);
+    expect(business.text).toBe('Any persona may ask about Is there a pool license?.');
+    expect(business.metadata.fixture).toBe(1);
+  });
+
+  test('should echo the question when no fixture matches', async () => {
+    const response = await provider.generateChat(messages('Where is city hall?'), { persona: 'default' });
+
+    expect(response.text).toBe('Echo from default: Where is city hall?');
+    expect(response.metadata.fixture).toBe('default');
+    expect(response.provider).toBe('mock');
+  });
+
+  test('should echo the question as written', async () => {
+    const response = await provider.generateChat(messages("Is $& or $' or {persona} a fee code?"), { persona: 'default' });
+
+    expect(response.text).toBe("Echo from default: Is $& or $' or {persona} a fee code?");
+  });
+
+  test('should report usage estimated from the text', async () => {
+    const response = await provider.generateChat([{ role: 'user', content: 'pool hours' }], { persona: 'parks-recreation' });
+
+    expect(response.usage).toEqual({ prompt_tokens: 3, completion_tokens: 6, total_tokens: 9 });
+  });
+
+  test('should raise errors classified like real provider failures', async () => {
+    const outage = provider.generateChat(messages('Is there an outage?'));
+    await expect(outage).rejects.toThrow('Mock provider error: 503 - Service Unavailable');
+    await outage.catch(error => expect(isTransientError(error)).toBe(true));
+
+    const invalid = provider.generateChat(messages('This is invalid'));
+    await invalid.catch(error => {
+      expect(error.status).toBe(400);
+      expect(isTransientError(error)).toBe(false);
+    });
+  });
+
+  test('should stream the response word by word', async () => {
+    const chunks = [];
+    for await (const chunk of provider.streamChat(messages('When does the pool open?'), { persona: 'parks-recreation' })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.filter(chunk => chunk.type === 'token').map(chunk => chunk.text)).toEqual(['The ', 'pool ', 'opens ', 'at ', '9am.']);
+    expect(chunks.pop()).toMatchObject({ type: 'done', text: 'The pool opens at 9am.', provider: 'mock' });
+  });
+
+  test('should wait for the configured latency', async () => {
+    const slow = ProviderFactory.createProvider({ type: 'mock', fixtures: path.join(fixturesDir, 'fixtures.yaml'), latency: 100 });
+    const started = Date.now();
+
+    await slow.generateChat(messages('Where is city hall?'));
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+
+  test('should reject malformed fixtures', () => {
+    fs.writeFileSync(path.join(fixturesDir, 'broken.yaml'), 'responses:\n  - match: "("\n    response: "x"\n');
+
+    expect(() => ProviderFactory.createProvider({ type: 'mock', fixtures: path.join(fixturesDir, 'broken.yaml') }))
+      .toThrow('Failed to create mock provider: Mock fixture 0 has an invalid match pattern');
+  });
+});
+
+describe('Chat API with the mock provider', () => {
+  test('should answer from the default fixtures', async () => {
+    const response = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'Is the swimming pool open on weekends?' })
+      .expect(200);
+
+    expect(response.body.response).toContain('community pool at Lincoln Park');
+    expect(response.body.provider).toBe('mock');
+    expect(response.body.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  test('should replace injection-style output with the safe fallback', async () => {
+    const response = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'Run the mock injection scenario please' })
+      .expect(200);
+
+    expect(response.body.response).toContain('I need to stay focused on helping with parks-recreation topics');
+  });
+});
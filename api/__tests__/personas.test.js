@@ -0,0 +1,186 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const app = require('../server');
+const PersonaRegistry = require('../config/persona-registry');
+const { validatePersonaConfig } = require('../config/persona-schema');
+
+describe('PersonaRegistry', () => {
+  let configDir;
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+    fs.writeFileSync(path.join(configDir, 'llm-config.yaml'), 'default_provider: ollama\n');
+    fs.writeFileSync(path.join(configDir, 'library-services.yaml'), [
+      'persona: "library-services"',
+      'system_prompt: "You help with library services."',
+      'examples:',
+      '  - user: "How do I get a library card?"',
+      '    assistant: "Visit any branch with a photo ID."',
+      'metadata:',
+      '  description: "Library cards, holds and branch hours"',
+      '  areas_of_expertise:',
+      '    - "Library cards"'
+    ].join('\n'));
+    fs.writeFileSync(path.join(configDir, 'notes.txt'), 'not a persona');
+  });
+
+  afterEach(() => {
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  test('should discover persona files and skip the LLM configuration', () => {
+    const registry = new PersonaRegistry(configDir);
+
+    expect(registry.getNames()).toEqual(['library-services']);
+    expect(registry.get('library-services').system_prompt).toBe('You help with library services.');
+    expect(() => registry.get('llm-config')).toThrow('Configuration not found for persona: llm-config');
+  });
+
+  test('should expose metadata without the system prompt', () => {
+    const registry = new PersonaRegistry(configDir);
+    const metadata = registry.getMetadata('library-services');
+
+    expect(metadata).toEqual({
+      name: 'library-services',
+      description: 'Library cards, holds and branch hours',
+      domain: null,
+      areas_of_expertise: ['Library cards'],
+      example_count: 1,
+      endpoint: '/api/chat/library-services'
+    });
+    expect(JSON.stringify(metadata)).not.toContain('You help with library services.');
+  });
+
+  test('should change the version of edited personas and report them on reload', () => {
+    const registry = new PersonaRegistry(configDir);
+    const version = registry.getVersion('library-services');
+
+    expect(registry.loadPersonas()).toEqual([]);
+
+    fs.writeFileSync(path.join(configDir, 'library-services.yaml'),
+      'persona: "library-services"\nsystem_prompt: "You help with library cards and holds."\n');
+    fs.writeFileSync(path.join(configDir, 'tax-help.yaml'), 'system_prompt: "You help with local taxes."\n');
+
+    expect(registry.loadPersonas()).toEqual(['library-services', 'tax-help']);
+    expect(registry.getVersion('library-services')).not.toBe(version);
+  });
+});
+
+describe('Persona schema validation', () => {
+  const validConfig = () => ({
+    persona: 'library-services',
+    system_prompt: 'You help residents with library services.',
+    examples: [{ user: 'How do I get a card?', assistant: 'Visit any branch.' }],
+    few_shot: { max_examples: 1, token_budget: 200 },
+    generation: { temperature: 0.3, max_tokens: 400 }
+  });
+
+  test('should accept every persona shipped in config/', () => {
+    const configDir = path.join(__dirname, '..', 'config');
+
+    expect(new PersonaRegistry(configDir).getNames().length).toBeGreaterThan(0);
+  });
+
+  test('should accept a valid configuration', () => {
+    expect(validatePersonaConfig(validConfig(), 'library-services.yaml')).toEqual([]);
+  });
+
+  test('should report file, path and problem for each error', () => {
+    const config = validConfig();
+    delete config.system_prompt;
+    config.examples.push({ user: 'Hours?' });
+    config.few_shot.max_examples = 'two';
+    config.generation.temperature = 5;
+    config.tone = 'friendly';
+
+    expect(validatePersonaConfig(config, 'library-services.yaml')).toEqual([
+      { file: 'library-services.yaml', path: 'system_prompt', problem: 'is required' },
+      { file: 'library-services.yaml', path: 'examples[1].assistant', problem: 'is required' },
+      { file: 'library-services.yaml', path: 'few_shot.max_examples', problem: 'must be integer (got string)' },
+      { file: 'library-services.yaml', path: 'generation.temperature', problem: 'must be at most 2' },
+      expect.objectContaining({ file: 'library-services.yaml', path: 'tone', problem: expect.stringContaining('unknown key') })
+    ]);
+  });
+
+  test('should only accept known queue priorities', () => {
+    expect(validatePersonaConfig({ ...validConfig(), priority: 'high' }, 'library-services.yaml')).toEqual([]);
+    expect(validatePersonaConfig({ ...validConfig(), priority: 'urgent' }, 'library-services.yaml')).toEqual([
+      { file: 'library-services.yaml', path: 'priority', problem: 'must be one of high, normal, low (got "urgent")' }
+    ]);
+  });
+
+  test('should reject empty files and mismatched persona names', () => {
+    expect(validatePersonaConfig(undefined, 'empty.yaml')).toEqual([
+      { file: 'empty.yaml', path: '(root)', problem: 'must be object (got empty)' }
+    ]);
+    expect(validatePersonaConfig(validConfig(), 'libraries.yaml')).toEqual([
+      { file: 'libraries.yaml', path: 'persona', problem: 'must match the file name "libraries" (got "library-services")' }
+    ]);
+  });
+
+  test('should refuse to load a directory containing an invalid persona', () => {
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+    fs.writeFileSync(path.join(configDir, 'broken.yaml'), 'persona: "broken"\nexamples: [\n');
+
+    try {
+      expect(() => new PersonaRegistry(configDir)).toThrow('broken.yaml: (root): invalid YAML');
+    } finally {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Persona API', () => {
+  const builtInPersonas = ['business-licensing', 'default', 'parks-recreation', 'unemployment-benefits'];
+
+  test('GET /api/personas should list every persona file', async () => {
+    const response = await request(app)
+      .get('/api/personas')
+      .expect(200);
+
+    expect(response.body.personas.map(persona => persona.name)).toEqual(builtInPersonas);
+    expect(response.body.count).toBe(builtInPersonas.length);
+    response.body.personas.forEach(persona => {
+      expect(persona.description).toEqual(expect.any(String));
+      expect(persona.areas_of_expertise.length).toBeGreaterThan(0);
+      expect(persona).not.toHaveProperty('system_prompt');
+    });
+  });
+
+  test('GET /api/personas/:name should return metadata without the system prompt', async () => {
+    const response = await request(app)
+      .get('/api/personas/parks-recreation')
+      .expect(200);
+
+    expect(response.body.name).toBe('parks-recreation');
+    expect(response.body.endpoint).toBe('/api/chat/parks-recreation');
+    expect(JSON.stringify(response.body)).not.toContain('CRITICAL');
+    expect(JSON.stringify(response.body)).not.toContain('You are an enthusiastic');
+  });
+
+  test('should return 404 for unknown personas', async () => {
+    await request(app)
+      .get('/api/personas/llm-config')
+      .expect(404);
+
+    const response = await request(app)
+      .post('/api/chat/tax-evasion')
+      .send({ message: 'How do I file my taxes?' })
+      .expect(404);
+
+    expect(response.body.error).toBe('Persona not found: tax-evasion');
+    expect(response.body.available).toEqual(builtInPersonas);
+  });
+
+  test('GET /api should list discovered personas', async () => {
+    const response = await request(app)
+      .get('/api')
+      .expect(200);
+
+    expect(response.body.personas).toEqual(builtInPersonas);
+    expect(response.body.endpoints).toHaveProperty('POST /api/chat/business-licensing');
+  });
+});
@@ -1,6 +1,10 @@
 const ProviderFactory = require('../providers/provider-factory');
 const OllamaProvider = require('../providers/ollama-provider');
 const OpenAIProvider = require('../providers/openai-provider');
+const AnthropicProvider = require('../providers/anthropic-provider');
+const AzureOpenAIProvider = require('../providers/azure-openai-provider');
+const OpenAICompatibleProvider = require('../providers/openai-compatible-provider');
+const nock = require('nock');
 
 describe('ProviderFactory', () => {
   describe('createProvider', () => {
@@ -47,6 +51,22 @@ describe('ProviderFactory', () => {
       }
     });
 
+    test('should create Anthropic provider with correct configuration', () => {
+      const config = {
+        name: 'test-anthropic',
+        type: 'anthropic',
+        model: 'claude-3-haiku-20240307',
+        apiKey: 'test-anthropic-key'
+      };
+
+      const provider = ProviderFactory.createProvider(config);
+
+      expect(provider).toBeInstanceOf(AnthropicProvider);
+      expect(provider.config.name).toBe('test-anthropic');
+      expect(provider.model).toBe('claude-3-haiku-20240307');
+      expect(provider.getConfigSummary().hasApiKey).toBe(true);
+    });
+
     test('should throw error for unsupported provider type', () => {
       const config = {
         name: 'test-invalid',
@@ -88,6 +108,10 @@ describe('ProviderFactory', () => {
       expect(Array.isArray(supportedTypes)).toBe(true);
       expect(supportedTypes).toContain('ollama');
       expect(supportedTypes).toContain('openai');
+      expect(supportedTypes).toContain('anthropic');
+      expect(supportedTypes).toContain('azure');
+      expect(supportedTypes).toContain('openai-compatible');
+      expect(supportedTypes).toContain('mock');
       expect(supportedTypes.length).toBeGreaterThan(0);
     });
   });
@@ -118,6 +142,17 @@ describe('ProviderFactory', () => {
       expect(result.errors).toContain('Ollama provider requires a URL');
     });
 
+    test('should return errors for incomplete Azure configuration', () => {
+      const result = ProviderFactory.validateConfig({
+        type: 'azure',
+        apiKey: 'test-azure-key'
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Azure OpenAI provider requires an endpoint');
+      expect(result.errors).toContain('Azure OpenAI provider requires a deployment');
+    });
+
     test('should return errors for missing configuration', () => {
       const result = ProviderFactory.validateConfig(null);
       
@@ -126,3 +161,842 @@ describe('ProviderFactory', () => {
     });
   });
 });
+
+describe('AnthropicProvider', () => {
+  const baseUrl = 'http://anthropic.test';
+  const reply = {
+    id: 'msg_1',
+    type: 'message',
+    model: 'claude-3-haiku-20240307',
+    content: [{ type: 'text', text: 'Yes.' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 5, output_tokens: 1 }
+  };
+  let provider;
+
+  beforeEach(() => {
+    nock.cleanAll();
+    provider = new AnthropicProvider({
+      name: 'anthropic',
+      type: 'anthropic',
+      url: baseUrl,
+      model: 'claude-3-haiku-20240307',
+      apiKey: 'test-anthropic-key'
+    });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should send a Messages API request with a system prompt', async () => {
+    let requestBody;
+    const scope = nock(baseUrl, {
+      reqheaders: {
+        'x-api-key': 'test-anthropic-key',
+        'anthropic-version': '2023-06-01'
+      }
+    })
+      .post('/v1/messages', body => {
+        requestBody = body;
+        return true;
+      })
+      .reply(200, {
+        id: 'msg_123',
+        type: 'message',
+        model: 'claude-3-haiku-20240307',
+        content: [{ type: 'text', text: '  You will need a business license.  ' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 42, output_tokens: 8 }
+      });
+
+    const result = await provider.generateChat([
+      { role: 'system', content: 'You are a licensing assistant.' },
+      { role: 'user', content: 'What permits do I need?' }
+    ], { maxTokens: 200 });
+
+    expect(scope.isDone()).toBe(true);
+    expect(requestBody.system).toBe('You are a licensing assistant.');
+    expect(requestBody.max_tokens).toBe(200);
+    expect(requestBody.messages[0]).toEqual({ role: 'user', content: 'What permits do I need?' });
+    expect(requestBody.messages.every(message => message.role !== 'system')).toBe(true);
+
+    expect(result).toEqual({
+      text: 'You will need a business license.',
+      provider: 'anthropic',
+      model: 'claude-3-haiku-20240307',
+      usage: {
+        prompt_tokens: 42,
+        completion_tokens: 8,
+        total_tokens: 50
+      },
+      metadata: {
+        finish_reason: 'stop',
+        stop_reason: 'end_turn',
+        response_id: 'msg_123',
+        retries: 0
+      }
+    });
+  });
+
+  test('should map max_tokens stop reason to length', async () => {
+    nock(baseUrl)
+      .post('/v1/messages')
+      .reply(200, {
+        id: 'msg_456',
+        content: [{ type: 'text', text: 'Truncated answer' }],
+        stop_reason: 'max_tokens',
+        usage: { input_tokens: 10, output_tokens: 300 }
+      });
+
+    const result = await provider.generateResponse('Tell me everything');
+
+    expect(result.metadata.finish_reason).toBe('length');
+  });
+
+  test('should surface API errors with provider context', async () => {
+    nock(baseUrl)
+      .post('/v1/messages')
+      .reply(401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } });
+
+    await expect(provider.generateResponse('Hello there'))
+      .rejects.toThrow('Invalid Anthropic API key');
+  });
+
+  test('should report healthy and list models', async () => {
+    nock(baseUrl)
+      .get('/v1/models')
+      .times(2)
+      .reply(200, {
+        data: [
+          { type: 'model', id: 'claude-3-haiku-20240307', display_name: 'Claude 3 Haiku', created_at: '2024-03-07T00:00:00Z' }
+        ],
+        has_more: false
+      });
+
+    await expect(provider.healthCheck()).resolves.toBe(true);
+    await expect(provider.getAvailableModels()).resolves.toEqual([
+      { id: 'claude-3-haiku-20240307', display_name: 'Claude 3 Haiku', created_at: '2024-03-07T00:00:00Z' }
+    ]);
+  });
+
+  test('should report unhealthy when the API is unreachable', async () => {
+    nock(baseUrl)
+      .get('/v1/models')
+      .reply(503);
+
+    await expect(provider.healthCheck()).resolves.toBe(false);
+  });
+
+  test('should require an API key', () => {
+    const originalApiKey = process.env.ANTHROPIC_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+
+    expect(() => new AnthropicProvider({ type: 'anthropic' }))
+      .toThrow('Anthropic API key is required');
+
+    if (originalApiKey) {
+      process.env.ANTHROPIC_API_KEY = originalApiKey;
+    }
+  });
+
+  test('should only send top_p when it is set', async () => {
+    const bodies = [];
+    nock(baseUrl).post('/v1/messages', body => bodies.push(body)).times(2).reply(200, reply);
+    const messages = [{ role: 'user', content: 'Do I need a permit?' }];
+
+    await provider.generateChat(messages, { temperature: 0.3 });
+    await provider.generateChat(messages, { temperature: 0.3, topP: 0.8 });
+
+    expect(bodies[0].temperature).toBe(0.3);
+    expect(bodies[0]).not.toHaveProperty('top_p');
+    expect(bodies[1].top_p).toBe(0.8);
+  });
+});
+
+describe('AzureOpenAIProvider', () => {
+  const endpoint = 'https://gov-resource.openai.azure.test';
+  let provider;
+
+  beforeEach(() => {
+    nock.cleanAll();
+    provider = new AzureOpenAIProvider({
+      name: 'azure',
+      type: 'azure',
+      endpoint: `${endpoint}/`,
+      deployment: 'gpt-35-turbo',
+      apiVersion: '2023-12-01-preview',
+      apiKey: 'test-azure-key'
+    });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should call the deployment chat completions endpoint with api-version and api-key', async () => {
+    let requestBody;
+    const scope = nock(endpoint, { reqheaders: { 'api-key': 'test-azure-key' } })
+      .post('/openai/deployments/gpt-35-turbo/chat/completions', body => {
+        requestBody = body;
+        return true;
+      })
+      .query({ 'api-version': '2023-12-01-preview' })
+      .reply(200, {
+        id: 'chatcmpl-azure',
+        created: 1700000000,
+        model: 'gpt-35-turbo',
+        choices: [{ index: 0, message: { role: 'assistant', content: ' Apply online. ' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 30, completion_tokens: 3, total_tokens: 33 }
+      });
+
+    const result = await provider.generateChat([
+      { role: 'system', content: 'You are helpful.' },
+      { role: 'user', content: 'How do I apply?' }
+    ]);
+
+    expect(scope.isDone()).toBe(true);
+    expect(requestBody.model).toBeUndefined();
+    expect(requestBody.messages[0]).toEqual({ role: 'system', content: 'You are helpful.' });
+    expect(result).toMatchObject({
+      text: 'Apply online.',
+      provider: 'azure',
+      model: 'gpt-35-turbo',
+      usage: { prompt_tokens: 30, completion_tokens: 3, total_tokens: 33 },
+      metadata: { finish_reason: 'stop', response_id: 'chatcmpl-azure', deployment: 'gpt-35-turbo' }
+    });
+  });
+
+  test('should report a missing deployment clearly', async () => {
+    nock(endpoint)
+      .post('/openai/deployments/gpt-35-turbo/chat/completions')
+      .query(true)
+      .reply(404, { error: { code: 'DeploymentNotFound', message: 'The API deployment for this resource does not exist.' } });
+
+    await expect(provider.generateResponse('Hello there'))
+      .rejects.toThrow('Azure OpenAI deployment not found: gpt-35-turbo');
+  });
+
+  test('should check health against the models endpoint', async () => {
+    nock(endpoint)
+      .get('/openai/models')
+      .query({ 'api-version': '2023-12-01-preview' })
+      .reply(200, { data: [{ id: 'gpt-35-turbo', created_at: 1700000000 }] });
+
+    await expect(provider.healthCheck()).resolves.toBe(true);
+    expect(provider.getProviderName()).toBe('Azure OpenAI (gpt-35-turbo)');
+  });
+
+  test('should require endpoint and deployment', () => {
+    expect(() => new AzureOpenAIProvider({ type: 'azure', apiKey: 'key', deployment: 'gpt-35-turbo' }))
+      .toThrow('Azure OpenAI endpoint is required');
+    expect(() => new AzureOpenAIProvider({ type: 'azure', apiKey: 'key', endpoint }))
+      .toThrow('Azure OpenAI deployment is required');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const baseUrl = 'http://vllm.test:8000';
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should be created by the factory without an API key', () => {
+    const provider = ProviderFactory.createProvider({
+      name: 'vllm',
+      type: 'openai-compatible',
+      baseUrl: `${baseUrl}/v1/`,
+      model: 'phi-3-mini'
+    });
+
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(provider.baseUrl).toBe(`${baseUrl}/v1`);
+    expect(provider.getHeaders().Authorization).toBeUndefined();
+    expect(provider.getProviderName()).toBe('OpenAI-compatible (phi-3-mini)');
+  });
+
+  test('should send custom headers and optional bearer key to the configured base URL', async () => {
+    const provider = new OpenAICompatibleProvider({
+      type: 'openai-compatible',
+      baseUrl: `${baseUrl}/v1`,
+      model: 'phi-3-mini',
+      apiKey: 'local-key',
+      headers: { 'X-Agency-Client': 'government-ai-api' }
+    });
+
+    let requestBody;
+    const scope = nock(baseUrl, {
+      reqheaders: {
+        authorization: 'Bearer local-key',
+        'x-agency-client': 'government-ai-api'
+      }
+    })
+      .post('/v1/chat/completions', body => {
+        requestBody = body;
+        return true;
+      })
+      .reply(200, {
+        id: 'cmpl-local',
+        created: 1700000000,
+        model: 'phi-3-mini',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Parks open at dawn.' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 }
+      });
+
+    const result = await provider.generateResponse('When do parks open?');
+
+    expect(scope.isDone()).toBe(true);
+    expect(requestBody.model).toBe('phi-3-mini');
+    expect(result).toMatchObject({
+      text: 'Parks open at dawn.',
+      provider: 'openai-compatible',
+      model: 'phi-3-mini',
+      usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 },
+      metadata: { finish_reason: 'stop', response_id: 'cmpl-local' }
+    });
+    expect(provider.getConfigSummary().headers).toEqual(['X-Agency-Client']);
+  });
+
+  test('should discover the model from /v1/models when none is configured', async () => {
+    const provider = new OpenAICompatibleProvider({
+      type: 'openai-compatible',
+      baseUrl: `${baseUrl}/v1`
+    });
+
+    nock(baseUrl)
+      .get('/v1/models')
+      .reply(200, { object: 'list', data: [{ id: 'llama-3-8b-instruct', object: 'model', owned_by: 'vllm' }] });
+
+    let requestedModel;
+    nock(baseUrl)
+      .post('/v1/chat/completions', body => {
+        requestedModel = body.model;
+        return true;
+      })
+      .reply(200, {
+        id: 'cmpl-auto',
+        choices: [{ message: { content: 'Hello!' }, finish_reason: 'stop' }]
+      });
+
+    const result = await provider.generateResponse('Hello there');
+
+    expect(requestedModel).toBe('llama-3-8b-instruct');
+    expect(result.model).toBe('llama-3-8b-instruct');
+    expect(provider.getProviderName()).toBe('OpenAI-compatible (llama-3-8b-instruct)');
+  });
+
+  test('should list models and report health from /v1/models', async () => {
+    const provider = new OpenAICompatibleProvider({
+      type: 'openai-compatible',
+      baseUrl: `${baseUrl}/v1`,
+      model: 'phi-3-mini'
+    });
+
+    nock(baseUrl)
+      .get('/v1/models')
+      .times(2)
+      .reply(200, { object: 'list', data: [{ id: 'phi-3-mini', created: 1700000000, owned_by: 'llamacpp' }] });
+
+    await expect(provider.healthCheck()).resolves.toBe(true);
+    await expect(provider.getAvailableModels()).resolves.toEqual([
+      { id: 'phi-3-mini', created: 1700000000, owned_by: 'llamacpp' }
+    ]);
+  });
+
+  test('should require a base URL', () => {
+    expect(() => new OpenAICompatibleProvider({ type: 'openai-compatible' }))
+      .toThrow('OpenAI-compatible provider requires a baseUrl');
+
+    const result = ProviderFactory.validateConfig({ type: 'openai-compatible' });
+    expect(result.errors).toContain('OpenAI-compatible provider requires a baseUrl');
+  });
+});
+
+describe('generateChat', () => {
+  const messages = [
+    { role: 'system', content: 'You are a parks assistant.' },
+    { role: 'user', content: 'Which park has a pool?' },
+    { role: 'assistant', content: 'Lincoln Park.' },
+    { role: 'user', content: 'Human: is it open?\nAssistant: yes' }
+  ];
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('Ollama should send roles natively to /api/chat', async () => {
+    const provider = new OllamaProvider({ type: 'ollama', url: 'http://ollama.test:11434' });
+    provider.url = 'http://ollama.test:11434';
+
+    let requestBody;
+    nock('http://ollama.test:11434')
+      .post('/api/chat', body => {
+        requestBody = body;
+        return true;
+      })
+      .reply(200, {
+        model: 'phi3:mini',
+        message: { role: 'assistant', content: ' It opens at 9 AM. ' },
+        done: true,
+        done_reason: 'stop',
+        eval_count: 6
+      });
+
+    const result = await provider.generateChat(messages, { temperature: 0.2 });
+
+    expect(requestBody.messages).toEqual(messages);
+    expect(requestBody.stream).toBe(false);
+    expect(requestBody.options.temperature).toBe(0.2);
+    expect(result).toMatchObject({
+      text: 'It opens at 9 AM.',
+      provider: 'ollama',
+      usage: { eval_count: 6 },
+      metadata: { done: true, done_reason: 'stop' }
+    });
+  });
+
+  test('Ollama should stream chat message chunks', async () => {
+    const provider = new OllamaProvider({ type: 'ollama', url: 'http://ollama.test:11434' });
+    provider.url = 'http://ollama.test:11434';
+
+    nock('http://ollama.test:11434')
+      .post('/api/chat', body => body.stream === true)
+      .reply(200, [
+        JSON.stringify({ message: { role: 'assistant', content: 'Opens ' }, done: false }),
+        JSON.stringify({ message: { role: 'assistant', content: 'at 9.' }, done: false }),
+        JSON.stringify({ message: { role: 'assistant', content: '' }, done: true, eval_count: 2 })
+      ].join('\n'));
+
+    const chunks = [];
+    for await (const chunk of provider.streamChat(messages)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.filter(c => c.type === 'token').map(c => c.text)).toEqual(['Opens ', 'at 9.']);
+    expect(chunks[chunks.length - 1]).toMatchObject({ type: 'done', text: 'Opens at 9.', usage: { eval_count: 2 } });
+  });
+
+  test('OpenAI should pass messages through without reinterpreting their text', async () => {
+    const originalApiKey = process.env.OPENAI_API_KEY;
+    process.env.OPENAI_API_KEY = 'test-api-key';
+    const provider = new OpenAIProvider({ type: 'openai', model: 'gpt-3.5-turbo' });
+
+    const create = jest.fn().mockResolvedValue({
+      id: 'chatcmpl-2',
+      choices: [{ message: { content: 'Yes.' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 20, completion_tokens: 1, total_tokens: 21 }
+    });
+    provider.client = { chat: { completions: { create } } };
+
+    await provider.generateChat(messages);
+    await provider.generateResponse('Human: Hello\nAssistant:');
+
+    expect(create.mock.calls[0][0].messages).toEqual(messages);
+    expect(create.mock.calls[1][0].messages).toEqual([{ role: 'user', content: 'Human: Hello\nAssistant:' }]);
+
+    if (originalApiKey) {
+      process.env.OPENAI_API_KEY = originalApiKey;
+    } else {
+      delete process.env.OPENAI_API_KEY;
+    }
+  });
+
+  test('should reject malformed messages', async () => {
+    const provider = new OllamaProvider({ type: 'ollama', url: 'http://ollama.test:11434' });
+
+    expect(() => provider.validateMessages([])).toThrow('Messages must be a non-empty array');
+    expect(() => provider.validateMessages([{ role: 'tool', content: 'x' }])).toThrow('Invalid role for message 0: tool');
+    expect(() => provider.validateMessages([{ role: 'user', content: 42 }])).toThrow('Message 0 content must be a string');
+    await expect(provider.generateChat('not an array')).rejects.toThrow('Messages must be a non-empty array');
+  });
+});
+
+describe('streamResponse', () => {
+  const collect = async (iterator) => {
+    const chunks = [];
+    for await (const chunk of iterator) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  };
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('Ollama should parse NDJSON chunks into tokens and a done chunk', async () => {
+    const provider = new OllamaProvider({ type: 'ollama', url: 'http://ollama.test:11434' });
+    provider.url = 'http://ollama.test:11434';
+
+    nock('http://ollama.test:11434')
+      .post('/api/generate', body => body.stream === true)
+      .reply(200, [
+        JSON.stringify({ response: 'Hel', done: false }),
+        JSON.stringify({ response: 'lo', done: false }),
+        JSON.stringify({ response: '', done: true, eval_count: 2, eval_duration: 10, total_duration: 20 })
+      ].join('\n'));
+
+    const chunks = await collect(provider.streamResponse('Say hello'));
+
+    expect(chunks.slice(0, 2)).toEqual([
+      { type: 'token', text: 'Hel' },
+      { type: 'token', text: 'lo' }
+    ]);
+    expect(chunks[2]).toMatchObject({
+      type: 'done',
+      text: 'Hello',
+      provider: 'ollama',
+      usage: { eval_count: 2, eval_duration: 10, total_duration: 20 }
+    });
+  });
+
+  test('OpenAI should relay delta content and usage from stream chunks', async () => {
+    const originalApiKey = process.env.OPENAI_API_KEY;
+    process.env.OPENAI_API_KEY = 'test-api-key';
+    const provider = new OpenAIProvider({ type: 'openai', model: 'gpt-3.5-turbo' });
+
+    const streamChunks = [
+      { id: 'chatcmpl-1', created: 1, choices: [{ delta: { role: 'assistant', content: 'Apply ' } }] },
+      { id: 'chatcmpl-1', created: 1, choices: [{ delta: { content: 'online.' }, finish_reason: 'stop' }] },
+      { id: 'chatcmpl-1', created: 1, choices: [], usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 } }
+    ];
+    const create = jest.fn().mockResolvedValue({
+      controller: { abort: jest.fn() },
+      async *[Symbol.asyncIterator]() {
+        yield* streamChunks;
+      }
+    });
+    provider.client = { chat: { completions: { create } } };
+
+    const chunks = await collect(provider.streamResponse('How do I apply?'));
+
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(chunks.filter(c => c.type === 'token').map(c => c.text)).toEqual(['Apply ', 'online.']);
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      type: 'done',
+      text: 'Apply online.',
+      provider: 'openai',
+      usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 },
+      metadata: { finish_reason: 'stop', response_id: 'chatcmpl-1' }
+    });
+
+    if (originalApiKey) {
+      process.env.OPENAI_API_KEY = originalApiKey;
+    } else {
+      delete process.env.OPENAI_API_KEY;
+    }
+  });
+
+  test('OpenAI should cancel the request when the consumer stops early', async () => {
+    const originalApiKey = process.env.OPENAI_API_KEY;
+    process.env.OPENAI_API_KEY = 'test-api-key';
+    const provider = new OpenAIProvider({ type: 'openai' });
+
+    const abort = jest.fn();
+    provider.client = {
+      chat: {
+        completions: {
+          create: jest.fn().mockResolvedValue({
+            controller: { abort },
+            async *[Symbol.asyncIterator]() {
+              yield { choices: [{ delta: { content: 'one' } }] };
+              yield { choices: [{ delta: { content: 'two' } }] };
+            }
+          })
+        }
+      }
+    };
+
+    for await (const chunk of provider.streamResponse('Count')) {
+      expect(chunk.text).toBe('one');
+      break;
+    }
+
+    expect(abort).toHaveBeenCalled();
+
+    if (originalApiKey) {
+      process.env.OPENAI_API_KEY = originalApiKey;
+    } else {
+      delete process.env.OPENAI_API_KEY;
+    }
+  });
+
+  test('OpenAI-compatible should parse SSE chunks until [DONE]', async () => {
+    const provider = new OpenAICompatibleProvider({
+      type: 'openai-compatible',
+      baseUrl: 'http://vllm.test:8000/v1',
+      model: 'phi-3-mini'
+    });
+
+    const sse = [
+      { id: 'cmpl-1', choices: [{ delta: { content: 'Open ' } }] },
+      { id: 'cmpl-1', choices: [{ delta: { content: 'daily.' }, finish_reason: 'stop' }] }
+    ].map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+    nock('http://vllm.test:8000')
+      .post('/v1/chat/completions', body => body.stream === true)
+      .reply(200, sse, { 'Content-Type': 'text/event-stream' });
+
+    const chunks = await collect(provider.streamResponse('Hours?'));
+
+    expect(chunks.filter(c => c.type === 'token').map(c => c.text)).toEqual(['Open ', 'daily.']);
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      type: 'done',
+      text: 'Open daily.',
+      provider: 'openai-compatible',
+      metadata: { finish_reason: 'stop', response_id: 'cmpl-1' }
+    });
+  });
+
+  test('Anthropic should parse Messages API stream events', async () => {
+    const provider = new AnthropicProvider({
+      type: 'anthropic',
+      url: 'http://anthropic.test',
+      apiKey: 'test-anthropic-key'
+    });
+
+    const events = [
+      ['message_start', { type: 'message_start', message: { id: 'msg_1', model: 'claude-3-haiku-20240307', usage: { input_tokens: 20, output_tokens: 1 } } }],
+      ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi ' } }],
+      ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'there' } }],
+      ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }],
+      ['message_stop', { type: 'message_stop' }]
+    ].map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+
+    nock('http://anthropic.test')
+      .post('/v1/messages', body => body.stream === true)
+      .reply(200, events, { 'Content-Type': 'text/event-stream' });
+
+    const chunks = await collect(provider.streamResponse('Hello'));
+
+    expect(chunks.filter(c => c.type === 'token').map(c => c.text)).toEqual(['Hi ', 'there']);
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      type: 'done',
+      text: 'Hi there',
+      usage: { prompt_tokens: 20, completion_tokens: 3, total_tokens: 23 },
+      metadata: { finish_reason: 'stop', response_id: 'msg_1' }
+    });
+  });
+});
+
+describe('Stream parsing', () => {
+  const { Readable } = require('stream');
+  const { parseNDJSON, readStreamErrorBody } = require('../providers/stream-utils');
+
+  // Split the UTF-8 bytes of a text into chunks at the given byte offsets
+  const splitBytes = (text, ...cuts) => {
+    const bytes = Buffer.from(text, 'utf8');
+    const bounds = [0, ...cuts, bytes.length];
+    return bounds.slice(1).map((end, i) => bytes.subarray(bounds[i], end));
+  };
+
+  test('should decode characters split across chunks', async () => {
+    // Cut inside the two bytes of é and the three bytes of ☕
+    const line = `${JSON.stringify({ message: { content: 'Café ☕' } })}\n`;
+    const cafeEnd = Buffer.from(line.slice(0, line.indexOf('é')), 'utf8').length + 1;
+    const cupEnd = Buffer.from(line.slice(0, line.indexOf('☕')), 'utf8').length + 2;
+
+    const records = [];
+    for await (const record of parseNDJSON(Readable.from(splitBytes(line, cafeEnd, cupEnd)))) {
+      records.push(record);
+    }
+
+    expect(records).toEqual([{ message: { content: 'Café ☕' } }]);
+  });
+
+  test('should decode error bodies split across chunks', async () => {
+    const body = JSON.stringify({ error: 'modèle introuvable' });
+    const cut = Buffer.from(body.slice(0, body.indexOf('è')), 'utf8').length + 1;
+
+    await expect(readStreamErrorBody({ response: { data: Readable.from(splitBytes(body, cut)) } }))
+      .resolves.toEqual({ error: 'modèle introuvable' });
+  });
+});
+
+describe('Retries', () => {
+  const OLLAMA_URL = 'http://ollama-retry.test:11434';
+  const messages = [{ role: 'user', content: 'Which park has a pool?' }];
+  const chatReply = { message: { role: 'assistant', content: 'Lincoln Park.' }, done: true };
+
+  const createOllama = (retryConfig = {}) => {
+    const provider = new OllamaProvider({ type: 'ollama', url: OLLAMA_URL, retryDelay: 1, ...retryConfig });
+    provider.url = OLLAMA_URL;
+    return provider;
+  };
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should retry temporary failures and report the retry count', async () => {
+    const scope = nock(OLLAMA_URL)
+      .post('/api/chat').reply(503)
+      .post('/api/chat').replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+      .post('/api/chat').reply(200, chatReply);
+
+    const result = await createOllama().generateChat(messages);
+
+    expect(scope.isDone()).toBe(true);
+    expect(result.text).toBe('Lincoln Park.');
+    expect(result.metadata.retries).toBe(2);
+  });
+
+  test('should give up after maxRetries', async () => {
+    const scope = nock(OLLAMA_URL).post('/api/chat').times(3).reply(500);
+
+    await expect(createOllama({ maxRetries: 2 }).generateChat(messages)).rejects.toThrow('Ollama API error: 500');
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('should not retry fatal errors', async () => {
+    const scope = nock(OLLAMA_URL)
+      .post('/api/chat').reply(400, { error: 'invalid request' })
+      .post('/api/chat').reply(200, chatReply);
+
+    await expect(createOllama().generateChat(messages)).rejects.toThrow('Ollama API error: 400');
+    expect(scope.pendingMocks()).toHaveLength(1);
+  });
+
+  test('should retry a stream that fails before it starts', async () => {
+    nock(OLLAMA_URL)
+      .post('/api/chat').reply(429, { error: 'busy' }, { 'Retry-After': '0' })
+      .post('/api/chat').reply(200, [
+        JSON.stringify({ message: { role: 'assistant', content: 'Lincoln Park.' }, done: false }),
+        JSON.stringify({ message: { role: 'assistant', content: '' }, done: true })
+      ].join('\n'));
+
+    const chunks = [];
+    for await (const chunk of createOllama().streamChat(messages)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks[chunks.length - 1]).toMatchObject({ type: 'done', text: 'Lincoln Park.', metadata: { retries: 1 } });
+  });
+
+  test('should retry OpenAI connection errors', async () => {
+    const OpenAI = require('openai');
+    const provider = new OpenAIProvider({ type: 'openai', apiKey: 'test-api-key', retryDelay: 1 });
+    const create = jest.fn()
+      .mockRejectedValueOnce(new OpenAI.APIConnectionError({ message: 'Connection error.' }))
+      .mockResolvedValueOnce({
+        id: 'chatcmpl-retry',
+        choices: [{ message: { content: 'Lincoln Park.' }, finish_reason: 'stop' }]
+      });
+    provider.client = { chat: { completions: { create } } };
+
+    const result = await provider.generateChat(messages);
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(result.metadata.retries).toBe(1);
+  });
+
+  test('should honor Retry-After and back off exponentially with jitter', () => {
+    const provider = createOllama({ retryDelay: 100, maxRetryDelay: 5000 });
+    const rateLimited = (retryAfter) => ({ response: { status: 429, headers: { 'retry-after': retryAfter } } });
+
+    expect(provider.getRetryDelay(rateLimited('2'), 0)).toBe(2000);
+    expect(provider.getRetryDelay(rateLimited('60'), 0)).toBeNull();
+    expect(provider.getRetryDelay(rateLimited(new Date(Date.now() + 60000).toUTCString()), 0)).toBeNull();
+
+    for (let i = 0; i < 20; i++) {
+      const delay = provider.getRetryDelay({ code: 'ECONNREFUSED' }, 2);
+      expect(delay).toBeGreaterThanOrEqual(200);
+      expect(delay).toBeLessThanOrEqual(400);
+    }
+    expect(provider.getRetryDelay({ code: 'ECONNREFUSED' }, 10)).toBeLessThanOrEqual(5000);
+  });
+
+  test('should take retry settings from llm-config.yaml and the environment', () => {
+    const LLMConfigManager = require('../config/llm-config-manager');
+    const originalEnv = { MAX_RETRIES: process.env.MAX_RETRIES, RETRY_DELAY: process.env.RETRY_DELAY };
+
+    try {
+      delete process.env.MAX_RETRIES;
+      delete process.env.RETRY_DELAY;
+      const fromFile = new LLMConfigManager().getProviderConfig('ollama');
+      expect(fromFile).toMatchObject({ maxRetries: 3, retryDelay: 1000 });
+
+      process.env.MAX_RETRIES = '0';
+      process.env.RETRY_DELAY = '250';
+      const fromEnv = new LLMConfigManager().getProviderConfig('ollama');
+      expect(new OllamaProvider(fromEnv).retryPolicy).toMatchObject({ maxRetries: 0, retryDelay: 250 });
+    } finally {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    }
+  });
+});
+
+describe('Environment overrides', () => {
+  const LLMConfigManager = require('../config/llm-config-manager');
+
+  /**
+   * Run a test with environment variables set, restoring them afterwards
+   */
+  const withEnv = (variables, test) => {
+    const originalEnv = Object.fromEntries(Object.keys(variables).map(key => [key, process.env[key]]));
+    Object.assign(process.env, variables);
+
+    try {
+      test();
+    } finally {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    }
+  };
+
+  test('OPENAI_MODEL should only change the default openai entry', () => {
+    withEnv({ OPENAI_MODEL: 'gpt-4o-mini', OPENAI_API_KEY: 'test-api-key' }, () => {
+      const manager = new LLMConfigManager();
+
+      expect(ProviderFactory.createProvider(manager.getProviderConfig('openai')).model).toBe('gpt-4o-mini');
+      expect(ProviderFactory.createProvider(manager.getProviderConfig('openai-gpt4')).model).toBe('gpt-4');
+    });
+  });
+
+  test('ANTHROPIC_MODEL should only change the default anthropic entry', () => {
+    withEnv({ ANTHROPIC_MODEL: 'claude-3-5-haiku-latest', ANTHROPIC_API_KEY: 'test-anthropic-key' }, () => {
+      expect(new LLMConfigManager().getProviderConfig('anthropic').model).toBe('claude-3-5-haiku-latest');
+      expect(new AnthropicProvider({ type: 'anthropic', model: 'claude-3-opus-20240229' }).model).toBe('claude-3-opus-20240229');
+    });
+  });
+
+  test('Azure variables should only change the default azure entry', () => {
+    withEnv({
+      AZURE_OPENAI_ENDPOINT: 'https://env-resource.openai.azure.com',
+      AZURE_OPENAI_DEPLOYMENT: 'env-deployment',
+      AZURE_OPENAI_API_VERSION: '2023-12-01-preview'
+    }, () => {
+      expect(new LLMConfigManager().getProviderConfig('azure')).toMatchObject({
+        endpoint: 'https://env-resource.openai.azure.com',
+        deployment: 'env-deployment',
+        apiVersion: '2023-12-01-preview'
+      });
+
+      const second = new AzureOpenAIProvider({
+        type: 'azure',
+        endpoint: 'https://second-resource.openai.azure.com',
+        deployment: 'gpt-4o',
+        apiVersion: '2024-06-01',
+        apiKey: 'test-azure-key'
+      });
+      expect(second.baseUrl).toBe('https://second-resource.openai.azure.com');
+      expect(second).toMatchObject({ deployment: 'gpt-4o', apiVersion: '2024-06-01' });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const nock = require('nock');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useOllamaStandIn, chatReply } = require('./helpers');
+
+// Use a local Ollama stand-in and enable the admin endpoints before loading the server
+const ADMIN_API_KEY = 'test-admin-key-cache-0123456789';
+const OLLAMA_URL = 'http://ollama-cache.test:11434';
+const AUDIT_LOG = path.join(os.tmpdir(), `cache-audit-${process.pid}.log`);
+useOllamaStandIn(OLLAMA_URL, {
+  MAX_RETRIES: '0',
+  ADMIN_API_KEY,
+  CONFIG_WATCH: 'false',
+  ADMIN_AUDIT_LOG: AUDIT_LOG
+});
+
+const app = require('../server');
+const ResponseCache = require('../cache/response-cache');
+const PersonaRegistry = require('../config/persona-registry');
+const LLMConfigManager = require('../config/llm-config-manager');
+const { MemoryCacheStore, createCacheStore } = require('../cache/cache-store');
+
+const keyFor = (overrides = {}) => ({
+  persona: 'unemployment-benefits',
+  version: 'v1',
+  provider: 'ollama',
+  model: 'phi3:mini',
+  question: 'How do I apply for unemployment?',
+  generation: { temperature: 0.7 },
+  ...overrides
+});
+
+afterAll(() => {
+  fs.rmSync(AUDIT_LOG, { force: true });
+});
+
+describe('MemoryCacheStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should evict the least recently used entry when full', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    const entry = (text) => ({ response: { text }, expires_at: Date.now() + 60000 });
+
+    await store.set('a', entry('A'));
+    await store.set('b', entry('B'));
+    await store.get('a');
+    await store.set('c', entry('C'));
+
+    expect(await store.get('b')).toBeNull();
+    expect((await store.get('a')).response.text).toBe('A');
+    expect((await store.get('c')).response.text).toBe('C');
+    expect(await store.size()).toBe(2);
+  });
+
+  test('should not return expired entries', async () => {
+    const store = new MemoryCacheStore();
+    await store.set('a', { response: { text: 'A' }, expires_at: Date.now() + 1000 });
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000);
+
+    expect(await store.get('a')).toBeNull();
+    expect(await store.size()).toBe(0);
+  });
+
+  test('should reject unknown store types', () => {
+    expect(() => createCacheStore({ type: 'redis' })).toThrow('Unsupported response cache store type: redis');
+  });
+});
+
+describe('ResponseCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new ResponseCache({ store: new MemoryCacheStore(), ttl: 60000 });
+  });
+
+  test('should share an entry between questions that differ only in case, spacing and punctuation', () => {
+    expect(cache.buildKey(keyFor({ question: '  how do I   apply for UNEMPLOYMENT ' })))
+      .toBe(cache.buildKey(keyFor()));
+  });
+
+  test('should key on persona version, provider, model and generation parameters', () => {
+    const key = cache.buildKey(keyFor());
+
+    expect(key.startsWith('unemployment-benefits:')).toBe(true);
+    expect(cache.buildKey(keyFor({ version: 'v2' }))).not.toBe(key);
+    expect(cache.buildKey(keyFor({ provider: 'openai' }))).not.toBe(key);
+    expect(cache.buildKey(keyFor({ model: 'llama3' }))).not.toBe(key);
+    expect(cache.buildKey(keyFor({ generation: { temperature: 0.2 } }))).not.toBe(key);
+    expect(cache.buildKey(keyFor({ question: 'How do I appeal a denied claim?' }))).not.toBe(key);
+  });
+
+  test('should count hits and misses and invalidate a persona', async () => {
+    const key = cache.buildKey(keyFor());
+    const other = cache.buildKey(keyFor({ persona: 'parks-recreation' }));
+
+    expect(await cache.get(key)).toBeNull();
+    await cache.set(key, { text: 'Apply online.' });
+    await cache.set(other, { text: 'The pool opens at 9.' });
+    expect((await cache.get(key)).response.text).toBe('Apply online.');
+
+    expect(await cache.invalidatePersona('unemployment-benefits')).toBe(1);
+    expect(await cache.get(key)).toBeNull();
+    expect(await cache.get(other)).not.toBeNull();
+
+    expect(await cache.getStats()).toEqual({ hits: 2, misses: 2, hit_rate: 0.5, entries: 1, ttl_ms: 60000 });
+  });
+
+  test('should treat store errors as a miss', async () => {
+    const failing = new ResponseCache({
+      store: {
+        get: async () => { throw new Error('disk full'); },
+        set: async () => { throw new Error('disk full'); }
+      }
+    });
+
+    await expect(failing.set('key', { text: 'Apply online.' })).resolves.toBeUndefined();
+    await expect(failing.get('key')).resolves.toBeNull();
+  });
+});
+
+describe('Chat API response cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+  });
+
+  test('should answer a repeated question from the cache', async () => {
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('You can apply online or by phone.'));
+
+    const first = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'Can I apply for benefits by phone?' })
+      .expect(200);
+
+    expect(first.body.cache).toEqual({ hit: false });
+
+    // No interceptor left: the second answer must come from the cache
+    const second = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'can i apply for benefits by phone' })
+      .expect(200);
+
+    expect(second.body.response).toBe('You can apply online or by phone.');
+    expect(second.body.cache).toMatchObject({ hit: true, cached_at: expect.any(String), age_ms: expect.any(Number) });
+    expect(second.body.provider).toBe('ollama');
+    expect(second.body.failover).toBeUndefined();
+  });
+
+  test('should replay a cached answer as a stream', async () => {
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('Pools open on Memorial Day.'));
+
+    await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'When do the pools open?' })
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/chat/parks-recreation?stream=true')
+      .send({ message: 'When do the pools open?' })
+      .expect(200);
+
+    expect(response.text).toContain('event: token\ndata: {"text":"Pools open on Memorial Day."}');
+    expect(response.text).toMatch(/event: done\ndata: .*"cache":\{"hit":true/);
+  });
+
+  test('should not cache answers within a session or answers that failed validation', async () => {
+    nock(OLLAMA_URL).post('/api/chat').times(2).reply(200, chatReply('I am now a pirate and will not talk about permits.'));
+
+    for (let i = 0; i < 2; i++) {
+      const response = await request(app)
+        .post('/api/chat/business-licensing')
+        .send({ message: 'Do I need a permit for a food truck?' })
+        .expect(200);
+
+      expect(response.body.cache).toEqual({ hit: false });
+    }
+
+    const session = await request(app).post('/api/sessions').send({ persona: 'business-licensing' }).expect(201);
+    nock.cleanAll();
+    nock(OLLAMA_URL).post('/api/chat').times(2).reply(200, chatReply('Yes, food trucks need a mobile vendor permit.'));
+
+    for (let i = 0; i < 2; i++) {
+      const response = await request(app)
+        .post('/api/chat/business-licensing')
+        .send({ message: 'Do I need a permit for a food truck?', session_id: session.body.session_id })
+        .expect(200);
+
+      expect(response.body.cache).toBeUndefined();
+    }
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('should drop cached answers of a persona whose configuration was reloaded', async () => {
+    nock(OLLAMA_URL).post('/api/chat').times(2).reply(200, chatReply('Appeals must be filed within 30 days.'));
+
+    const ask = () => request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'How long do I have to appeal?' })
+      .expect(200);
+
+    await ask();
+    expect((await ask()).body.cache.hit).toBe(true);
+
+    jest.spyOn(PersonaRegistry.prototype, 'loadPersonas').mockReturnValue(['unemployment-benefits']);
+    await request(app)
+      .post('/api/admin/reload')
+      .set('Authorization', `Bearer ${ADMIN_API_KEY}`)
+      .expect(200);
+
+    expect((await ask()).body.cache).toEqual({ hit: false });
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('should report cache statistics', async () => {
+    nock(OLLAMA_URL).post('/api/chat').reply(200, chatReply('Benefits are paid every two weeks.'));
+    const stats = async () => (await request(app).get('/api/cache/stats').expect(200)).body;
+    const before = await stats();
+
+    for (let i = 0; i < 2; i++) {
+      await request(app)
+        .post('/api/chat/unemployment-benefits')
+        .send({ message: 'How often are benefits paid?' })
+        .expect(200);
+    }
+
+    const after = await stats();
+    expect(after.response_cache).toMatchObject({ enabled: true, store: 'memory', ttl_ms: 3600000 });
+    expect(after.response_cache.hits).toBe(before.response_cache.hits + 1);
+    expect(after.response_cache.misses).toBe(before.response_cache.misses + 1);
+    expect(after.response_cache.entries).toBe(before.response_cache.entries + 1);
+    expect(after.semantic_cache).toEqual({ enabled: false });
+  });
+
+  test('should not cache an answer served by a fallback provider', async () => {
+    // Rebuild the providers as Ollama failing over to the mock provider, probed again after 50ms
+    const rebuildProviders = () => {
+      jest.spyOn(LLMConfigManager.prototype, 'reload').mockReturnValueOnce(true);
+      return request(app).post('/api/admin/reload').set('Authorization', `Bearer ${ADMIN_API_KEY}`).expect(200);
+    };
+    const { getProviderChain, getSettings } = LLMConfigManager.prototype;
+    jest.spyOn(LLMConfigManager.prototype, 'getProviderChain').mockImplementation(function () {
+      return [...getProviderChain.call(this), this.getProviderConfig('mock')];
+    });
+    jest.spyOn(LLMConfigManager.prototype, 'getSettings').mockImplementation(function () {
+      return { ...getSettings.call(this), failback_interval: 50 };
+    });
+    await rebuildProviders();
+
+    const ask = () => request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'Is there a waiting week?' })
+      .expect(200);
+
+    try {
+      nock(OLLAMA_URL).post('/api/chat').reply(503, { error: 'overloaded' });
+      const first = await ask();
+      expect(first.body.failover).toMatchObject({ served_by: 'mock', failed_over: true });
+
+      // Ollama recovers: once probed, the next request reaches it instead of a cached fallback answer
+      nock(OLLAMA_URL).get('/api/tags').reply(200, { models: [{ name: 'phi3:mini' }] });
+      await new Promise(resolve => setTimeout(resolve, 150));
+      nock(OLLAMA_URL).post('/api/chat').reply(200, chatReply('Yes, the first week is unpaid.'));
+
+      const second = await ask();
+      expect(second.body.cache).toEqual({ hit: false });
+      expect(second.body.failover.served_by).toBe('ollama');
+      expect(second.body.response).toBe('Yes, the first week is unpaid.');
+      expect(nock.isDone()).toBe(true);
+    } finally {
+      jest.restoreAllMocks();
+      await rebuildProviders();
+    }
+  });
+});
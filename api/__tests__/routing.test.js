@@ -0,0 +1,177 @@
+const nock = require('nock');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useOllamaStandIn, chatReply } = require('./helpers');
+
+// Route through a local Ollama stand-in without OpenAI credentials, so the
+// business-licensing persona falls back from openai-gpt4 to Ollama
+const OLLAMA_URL = 'http://ollama-routing.test:11434';
+useOllamaStandIn(OLLAMA_URL, { OPENAI_API_KEY: undefined });
+
+const app = require('../server');
+const LLMConfigManager = require('../config/llm-config-manager');
+const ProviderPool = require('../providers/provider-pool');
+const { validatePersonaConfig } = require('../config/persona-schema');
+
+const LLAMA_URL = 'http://ollama-routing-llama.test:11434';
+
+const messages = [
+  { role: 'system', content: 'You are a parks assistant.' },
+  { role: 'user', content: 'Which park has a pool?' }
+];
+
+describe('Persona routing schema', () => {
+  const config = (llm) => ({
+    persona: 'library-services',
+    system_prompt: 'You help residents with library services.',
+    llm
+  });
+
+  test('should accept a provider with fallbacks', () => {
+    expect(validatePersonaConfig(config({ provider: 'openai', fallback_providers: ['ollama'] }), 'library-services.yaml')).toEqual([]);
+  });
+
+  test('should require a provider name', () => {
+    expect(validatePersonaConfig(config({ fallback_providers: ['ollama'] }), 'library-services.yaml')).toEqual([
+      { file: 'library-services.yaml', path: 'llm.provider', problem: 'is required' }
+    ]);
+  });
+
+  test('should reject providers missing from the LLM configuration', () => {
+    const problems = validatePersonaConfig(
+      config({ provider: 'gpt-5', fallback_providers: ['ollama', 'claude'] }),
+      'library-services.yaml',
+      { providerNames: ['ollama', 'openai'] }
+    );
+
+    expect(problems).toEqual([
+      { file: 'library-services.yaml', path: 'llm.provider', problem: 'unknown provider "gpt-5" (configured: ollama, openai)' },
+      { file: 'library-services.yaml', path: 'llm.fallback_providers[1]', problem: 'unknown provider "claude" (configured: ollama, openai)' }
+    ]);
+  });
+});
+
+describe('ProviderPool', () => {
+  let configDir;
+  let pool;
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+    fs.writeFileSync(path.join(configDir, 'llm-config.yaml'), [
+      'default_provider: "ollama"',
+      'providers:',
+      '  ollama:',
+      '    type: "ollama"',
+      `    url: "${OLLAMA_URL}"`,
+      '  local-llama:',
+      '    type: "ollama"',
+      `    url: "${LLAMA_URL}"`,
+      '    model: "llama3"',
+      '  openai:',
+      '    type: "openai"',
+      '    apiKeyEnv: "ROUTING_TEST_MISSING_KEY"',
+      'fallback_providers:',
+      '  - "ollama"',
+      'settings:',
+      '  max_retries: 0'
+    ].join('\n'));
+
+    pool = new ProviderPool(new LLMConfigManager(path.join(configDir, 'llm-config.yaml')), { probeInterval: 60000 });
+  });
+
+  afterEach(() => {
+    pool.close();
+    nock.cleanAll();
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  test('should use the default chain for personas without routing', () => {
+    expect(pool.resolveChain({ system_prompt: 'x' })).toEqual(['ollama']);
+    expect(pool.getProvider({ system_prompt: 'x' })).toBe(pool.defaultChain);
+    expect(pool.describeRouting(null)).toEqual({ source: 'default', provider: 'ollama', fallback_providers: [] });
+  });
+
+  test('should put the persona provider first and use the global fallbacks by default', () => {
+    const persona = { llm: { provider: 'local-llama' } };
+
+    expect(pool.resolveChain(persona)).toEqual(['local-llama', 'ollama']);
+    expect(pool.describeRouting(persona)).toEqual({ source: 'persona', provider: 'local-llama', fallback_providers: ['ollama'] });
+  });
+
+  test('should use the persona fallbacks without duplicates', () => {
+    const persona = { llm: { provider: 'local-llama', fallback_providers: ['local-llama', 'openai'] } };
+
+    expect(pool.resolveChain(persona)).toEqual(['local-llama', 'openai']);
+  });
+
+  test('should share provider instances and circuit breakers between chains', () => {
+    const llamaFirst = pool.getProvider({ llm: { provider: 'local-llama' } });
+    const ollamaFirst = pool.getProvider({ llm: { provider: 'ollama', fallback_providers: ['local-llama'] } });
+
+    expect(llamaFirst).not.toBe(ollamaFirst);
+    expect(llamaFirst.entries[1].provider).toBe(pool.defaultChain.entries[0].provider);
+    expect(ollamaFirst.entries[1].breaker).toBe(llamaFirst.entries[0].breaker);
+    expect(pool.getProvider({ llm: { provider: 'local-llama' } })).toBe(llamaFirst);
+    expect(Object.keys(pool.getCircuitStatus()).sort()).toEqual(['local-llama', 'ollama']);
+  });
+
+  test('should skip providers that cannot be created', () => {
+    const provider = pool.getProvider({ llm: { provider: 'openai', fallback_providers: ['local-llama'] } });
+
+    expect(provider.entries.map(entry => entry.name)).toEqual(['local-llama']);
+    expect(() => pool.getChain(['openai'])).toThrow('No LLM provider could be initialized (tried: openai)');
+  });
+
+  test('should send requests to the routed provider', async () => {
+    nock(LLAMA_URL)
+      .post('/api/chat', body => body.model === 'llama3')
+      .reply(200, { model: 'llama3', message: { role: 'assistant', content: 'Lincoln Park.' }, done: true });
+
+    const response = await pool.getProvider({ llm: { provider: 'local-llama' } }).generateChat(messages);
+
+    expect(response.text).toBe('Lincoln Park.');
+    expect(response.metadata.failover.served_by).toBe('local-llama');
+  });
+});
+
+describe('Persona routing API', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('GET /api/personas should report each persona\'s routing', async () => {
+    const response = await request(app).get('/api/personas').expect(200);
+    const routing = Object.fromEntries(response.body.personas.map(persona => [persona.name, persona.routing]));
+
+    expect(routing['business-licensing']).toEqual({
+      source: 'persona',
+      provider: 'openai-gpt4',
+      fallback_providers: ['openai', 'ollama']
+    });
+    expect(routing['parks-recreation']).toEqual(expect.objectContaining({ source: 'default', provider: 'ollama' }));
+
+    const details = await request(app).get('/api/personas/business-licensing').expect(200);
+    expect(details.body.routing.provider).toBe('openai-gpt4');
+  });
+
+  test('should report the routed provider in chat responses', async () => {
+    nock(OLLAMA_URL)
+      .post('/api/chat')
+      .reply(200, chatReply('You will need a general business license.'));
+
+    const response = await request(app)
+      .post('/api/chat/business-licensing')
+      .send({ message: 'Do I need a license to open a bakery?' })
+      .expect(200);
+
+    expect(response.body.routing).toEqual({
+      source: 'persona',
+      provider: 'openai-gpt4',
+      fallback_providers: ['openai', 'ollama']
+    });
+    // Neither OpenAI provider has credentials here, so Ollama answers
+    expect(response.body.failover.served_by).toBe('ollama');
+  });
+});
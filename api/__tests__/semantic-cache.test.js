@@ -0,0 +1,285 @@
+const nock = require('nock');
+const request = require('supertest');
+const { useOllamaStandIn, chatReply, createOllama } = require('./helpers');
+
+// Use a local Ollama stand-in and enable the semantic cache before loading the server
+const OLLAMA_URL = 'http://ollama-semantic.test:11434';
+useOllamaStandIn(OLLAMA_URL, { MAX_RETRIES: '0' });
+
+const LLMConfigManager = require('../config/llm-config-manager');
+const getSemanticCacheOptions = jest.spyOn(LLMConfigManager.prototype, 'getSemanticCacheOptions')
+  .mockReturnValue({ enabled: true, provider: 'ollama', model: 'nomic-embed-text', threshold: 0.9, maxEntries: 100, timeout: 200 });
+
+const app = require('../server');
+const { SemanticCache, cosineSimilarity } = require('../cache/semantic-cache');
+const OpenAIProvider = require('../providers/openai-provider');
+const AnthropicProvider = require('../providers/anthropic-provider');
+const MockProvider = require('../providers/mock-provider');
+
+// Embeddings returned by the Ollama stand-in, keyed on the normalized question
+const vectors = {
+  'how do i file for unemployment benefits': [1, 0, 0],
+  'how can i apply for unemployment benefits': [0.95, 0.31, 0],
+  'what is the weekly benefit amount': [0.6, 0.8, 0],
+  'can i get benefits after quitting': [0, 0, 1]
+};
+
+const mockEmbeddings = () => nock(OLLAMA_URL)
+  .persist()
+  .post('/api/embeddings')
+  .reply((uri, body) => (vectors[body.prompt] ? [200, { embedding: vectors[body.prompt] }] : [404, { error: 'model not found' }]));
+
+afterAll(() => {
+  getSemanticCacheOptions.mockRestore();
+});
+
+describe('SemanticCache', () => {
+  const embed = async (text) => vectors[text];
+
+  test('should compute cosine similarity', () => {
+    expect(cosineSimilarity([1, 0], [1, 0])).toBe(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1, 1], [2, 2])).toBeCloseTo(1);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+
+  test('should return the closest answer at or above the threshold', () => {
+    const cache = new SemanticCache({ embed, threshold: 0.9 });
+    cache.add('unemployment-benefits', 'scope', [1, 0, 0], { text: 'File online.' });
+
+    const hit = cache.find('unemployment-benefits', 'scope', [0.95, 0.31, 0]);
+    expect(hit.entry.response.text).toBe('File online.');
+    expect(hit.similarity).toBeCloseTo(0.95, 2);
+
+    const miss = cache.find('unemployment-benefits', 'scope', [0, 1, 0]);
+    expect(miss).toEqual({ entry: null, similarity: 0 });
+
+    expect(cache.getStats()).toEqual({ hits: 1, misses: 1, embedding_errors: 0, threshold: 0.9, entries: 1 });
+  });
+
+  test('should only match within the same persona and scope', () => {
+    const cache = new SemanticCache({ embed });
+    cache.add('unemployment-benefits', 'scope', [1, 0, 0], { text: 'File online.' });
+
+    expect(cache.find('parks-recreation', 'scope', [1, 0, 0])).toEqual({ entry: null, similarity: null });
+    expect(cache.find('unemployment-benefits', 'other-scope', [1, 0, 0])).toEqual({ entry: null, similarity: null });
+
+    expect(cache.invalidatePersona('unemployment-benefits')).toBe(1);
+    expect(cache.find('unemployment-benefits', 'scope', [1, 0, 0]).entry).toBeNull();
+  });
+
+  test('should expire entries and evict the least recently used one when full', () => {
+    const cache = new SemanticCache({ embed, ttl: 1000, maxEntries: 2 });
+    cache.add('p', 's', [1, 0, 0], { text: 'A' });
+    cache.add('p', 's', [0, 1, 0], { text: 'B' });
+    cache.find('p', 's', [1, 0, 0]);
+    cache.add('p', 's', [0, 0, 1], { text: 'C' });
+
+    expect(cache.find('p', 's', [0, 1, 0]).entry).toBeNull();
+    expect(cache.find('p', 's', [1, 0, 0]).entry.response.text).toBe('A');
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000);
+    expect(cache.find('p', 's', [1, 0, 0]).entry).toBeNull();
+    expect(cache.getStats().entries).toBe(0);
+    jest.restoreAllMocks();
+  });
+
+  test('should treat embedding failures as a miss', async () => {
+    const cache = new SemanticCache({ embed: async () => { throw new Error('model not found'); } });
+
+    await expect(cache.embed('how do i file')).resolves.toBeNull();
+    expect(cache.getStats().embedding_errors).toBe(1);
+  });
+
+  test('should give up on an embedding that takes longer than the timeout', async () => {
+    let embedSignal;
+    const cache = new SemanticCache({
+      embed: (text, signal) => {
+        embedSignal = signal;
+        return new Promise(() => {});
+      },
+      timeout: 50
+    });
+
+    await expect(cache.embed('how do i file')).resolves.toBeNull();
+    expect(embedSignal.aborted).toBe(true);
+    expect(cache.getStats().embedding_errors).toBe(1);
+  });
+});
+
+describe('Provider embeddings', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('Ollama should embed each text with /api/embeddings', async () => {
+    const provider = createOllama('http://ollama.test:11434');
+
+    const scope = nock('http://ollama.test:11434')
+      .post('/api/embeddings', { model: 'nomic-embed-text', prompt: 'first' })
+      .reply(200, { embedding: [0.1, 0.2] })
+      .post('/api/embeddings', { model: 'nomic-embed-text', prompt: 'second' })
+      .reply(200, { embedding: [0.3, 0.4] });
+
+    const result = await provider.embed(['first', 'second']);
+
+    expect(result).toEqual({ embeddings: [[0.1, 0.2], [0.3, 0.4]], provider: 'ollama', model: 'nomic-embed-text' });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('Ollama should report a missing embedding model', async () => {
+    const provider = createOllama('http://ollama.test:11434');
+
+    nock('http://ollama.test:11434')
+      .post('/api/embeddings')
+      .reply(404, { error: 'model "nomic-embed-text" not found, try pulling it first' });
+
+    await expect(provider.embed(['first'])).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('Ollama should let a caller turn off retries for one request', async () => {
+    const provider = createOllama('http://ollama.test:11434', { maxRetries: 3, retryDelay: 5000 });
+
+    const scope = nock('http://ollama.test:11434')
+      .post('/api/embeddings').reply(503, { error: 'overloaded' })
+      .post('/api/embeddings').reply(200, { embedding: [0.1, 0.2] });
+
+    await expect(provider.embed(['first'], { maxRetries: 0 })).rejects.toMatchObject({ status: 503 });
+    expect(scope.pendingMocks()).toHaveLength(1);
+  });
+
+  test('OpenAI should embed all texts in one request', async () => {
+    const provider = new OpenAIProvider({ type: 'openai', apiKey: 'test-api-key', embeddingModel: 'text-embedding-3-large' });
+    const create = jest.fn().mockResolvedValue({
+      data: [{ index: 1, embedding: [0.3, 0.4] }, { index: 0, embedding: [0.1, 0.2] }],
+      usage: { prompt_tokens: 4, total_tokens: 4 }
+    });
+    provider.client = { embeddings: { create } };
+
+    const result = await provider.embed(['first', 'second']);
+
+    expect(create).toHaveBeenCalledWith(
+      { model: 'text-embedding-3-large', input: ['first', 'second'] },
+      { signal: undefined }
+    );
+    expect(result.embeddings).toEqual([[0.1, 0.2], [0.3, 0.4]]);
+    expect(result.usage).toEqual({ prompt_tokens: 4, total_tokens: 4 });
+  });
+
+  test('Mock embeddings should be more similar for texts sharing words', async () => {
+    const provider = new MockProvider({ type: 'mock' });
+    const { embeddings } = await provider.embed([
+      'how do I apply for unemployment',
+      'how can I apply for unemployment',
+      'when does the pool open'
+    ]);
+
+    expect(cosineSimilarity(embeddings[0], embeddings[1]))
+      .toBeGreaterThan(cosineSimilarity(embeddings[0], embeddings[2]));
+  });
+
+  test('should reject empty input and unsupported providers', async () => {
+    const provider = new MockProvider({ type: 'mock' });
+
+    await expect(provider.embed([])).rejects.toThrow('Texts to embed must be a non-empty array');
+    await expect(provider.embed([' '])).rejects.toThrow('Text 0 to embed must be a non-empty string');
+    await expect(new AnthropicProvider({ type: 'anthropic', apiKey: 'test-key' }).embed(['first']))
+      .rejects.toThrow('Embeddings are not supported by Anthropic');
+  });
+});
+
+describe('Chat API semantic cache', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should answer a similar question from the semantic cache', async () => {
+    mockEmbeddings();
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('File your claim online at the state portal.'));
+
+    const first = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'How do I file for unemployment benefits?' })
+      .expect(200);
+
+    expect(first.body.cache).toEqual({ hit: false });
+
+    // No chat interceptor left: the answer must come from the cache
+    const second = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'How can I apply for unemployment benefits?' })
+      .expect(200);
+
+    expect(second.body.response).toBe('File your claim online at the state portal.');
+    expect(second.body.cache).toMatchObject({ hit: true, type: 'semantic', similarity: 0.951, cached_at: expect.any(String) });
+
+    // Other personas never see the answer
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('Parks and pools are open daily.'));
+    const other = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'How can I apply for unemployment benefits?' })
+      .expect(200);
+
+    expect(other.body.cache).toEqual({ hit: false });
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('should report the closest similarity on a miss', async () => {
+    mockEmbeddings();
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('The weekly amount depends on your past wages.'));
+
+    const response = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'What is the weekly benefit amount?' })
+      .expect(200);
+
+    expect(response.body.response).toBe('The weekly amount depends on your past wages.');
+    expect(response.body.cache).toEqual({ hit: false, similarity: 0.6 });
+  });
+
+  test('should generate a fresh answer when the cache is bypassed', async () => {
+    mockEmbeddings();
+    nock(OLLAMA_URL).post('/api/chat').times(3).reply(200, chatReply('Quitting usually disqualifies you unless you had good cause.'));
+
+    const ask = (body, headers = {}) => request(app)
+      .post('/api/chat/unemployment-benefits')
+      .set(headers)
+      .send({ message: 'Can I get benefits after quitting?', ...body })
+      .expect(200);
+
+    await ask({});
+    expect((await ask({ cache: false })).body.cache).toEqual({ hit: false, bypassed: true });
+    expect((await ask({}, { 'Cache-Control': 'no-cache' })).body.cache).toEqual({ hit: false, bypassed: true });
+    expect(nock.isDone()).toBe(true);
+
+    expect((await ask({})).body.cache).toMatchObject({ hit: true, type: 'exact' });
+  });
+
+  test('should still answer when embeddings are unavailable', async () => {
+    nock(OLLAMA_URL).post('/api/embeddings').reply(404, { error: 'model not found' });
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('Benefits are paid every two weeks.'));
+
+    const response = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'How often are benefits paid?' })
+      .expect(200);
+
+    expect(response.body.response).toBe('Benefits are paid every two weeks.');
+    expect(response.body.cache).toEqual({ hit: false });
+  });
+
+  test('should skip the lookup when the embedding provider hangs', async () => {
+    nock(OLLAMA_URL).post('/api/embeddings').delay(5000).reply(200, { embedding: [1, 0, 0] });
+    nock(OLLAMA_URL).post('/api/chat').once().reply(200, chatReply('Payments start after a one-week waiting period.'));
+    const started = Date.now();
+
+    const response = await request(app)
+      .post('/api/chat/unemployment-benefits')
+      .send({ message: 'When do payments start?' })
+      .expect(200);
+
+    expect(response.body.response).toBe('Payments start after a one-week waiting period.');
+    expect(response.body.cache).toEqual({ hit: false });
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
@@ -0,0 +1,255 @@
+const request = require('supertest');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useOllamaStandIn, chatReply } = require('./helpers');
+
+// Point the default Ollama provider at a local stand-in before loading the server
+const OLLAMA_URL = 'http://ollama-sessions.test:11434';
+useOllamaStandIn(OLLAMA_URL);
+
+const app = require('../server');
+const SessionManager = require('../sessions/session-manager');
+const {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  isValidSessionId
+} = require('../sessions/session-store');
+
+let sqliteAvailable = true;
+try {
+  require('node:sqlite');
+} catch (error) {
+  sqliteAvailable = false;
+}
+
+describe('Session Stores', () => {
+  const storeTypes = [
+    ['memory', () => new MemorySessionStore()],
+    ['file', () => new FileSessionStore({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-')) })]
+  ];
+
+  if (sqliteAvailable) {
+    storeTypes.push(['sqlite', () => createSessionStore({ type: 'sqlite', filename: ':memory:' })]);
+  }
+
+  describe.each(storeTypes)('%s store', (type, createStore) => {
+    let store;
+    const id = '0b9f5c2e-4a4f-4a62-9d35-2f7c1e0d8a11';
+    const session = (expiresAt) => ({ id, persona: 'default', turns: [], expires_at: expiresAt });
+
+    beforeEach(() => {
+      store = createStore();
+    });
+
+    afterEach(() => {
+      if (store.directory) {
+        fs.rmSync(store.directory, { recursive: true, force: true });
+      }
+    });
+
+    test('should store, read and delete sessions', async () => {
+      await store.set(id, session(new Date(Date.now() + 60000).toISOString()));
+
+      expect((await store.get(id)).persona).toBe('default');
+      expect(await store.delete(id)).toBe(true);
+      expect(await store.get(id)).toBeNull();
+      expect(await store.delete(id)).toBe(false);
+    });
+
+    test('should purge expired sessions', async () => {
+      await store.set(id, session(new Date(Date.now() - 1000).toISOString()));
+
+      expect(await store.purgeExpired(Date.now())).toBe(1);
+      expect(await store.get(id)).toBeNull();
+    });
+
+    test('should keep one of concurrent writes to a session intact', async () => {
+      const expiresAt = new Date(Date.now() + 60000).toISOString();
+      const writes = ['first', 'second', 'third'].map(persona => ({ ...session(expiresAt), persona }));
+
+      await Promise.all(writes.map(write => store.set(id, write)));
+
+      expect(['first', 'second', 'third']).toContain((await store.get(id)).persona);
+      if (store.directory) {
+        expect(fs.readdirSync(store.directory)).toEqual([`${id}.json`]);
+      }
+    });
+  });
+
+  test('should reject unsupported store types', () => {
+    expect(() => createSessionStore({ type: 'redis' })).toThrow('Unsupported session store type: redis');
+  });
+
+  test('should only accept UUID session ids', () => {
+    expect(isValidSessionId('0b9f5c2e-4a4f-4a62-9d35-2f7c1e0d8a11')).toBe(true);
+    expect(isValidSessionId('../../etc/passwd')).toBe(false);
+    expect(isValidSessionId(42)).toBe(false);
+  });
+});
+
+describe('SessionManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new SessionManager({ store: new MemorySessionStore(), ttl: 60000, maxTurns: 2 });
+  });
+
+  test('should create and resume sessions for the same persona', async () => {
+    const session = await manager.createSession('parks-recreation');
+
+    expect(isValidSessionId(session.id)).toBe(true);
+    expect((await manager.resumeSession(session.id, 'parks-recreation')).turns).toEqual([]);
+    await expect(manager.resumeSession(session.id, 'default'))
+      .rejects.toThrow(`Session ${session.id} belongs to persona: parks-recreation`);
+  });
+
+  test('should keep only the most recent turns', async () => {
+    const session = await manager.createSession('default');
+
+    await manager.appendTurn(session, 'first', 'one');
+    await manager.appendTurn(session, 'second', 'two');
+    const updated = await manager.appendTurn(session, 'third', 'three');
+
+    expect(updated.turns.map(turn => turn.user)).toEqual(['second', 'third']);
+  });
+
+  test('should keep every turn of concurrent requests on a session', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    manager = new SessionManager({ store: new FileSessionStore({ directory }), ttl: 60000, maxTurns: 5 });
+
+    try {
+      const session = await manager.createSession('default');
+      await Promise.all(['first', 'second', 'third'].map(message => manager.appendTurn(session, message, 'answer')));
+
+      expect((await manager.getSession(session.id)).turns.map(turn => turn.user)).toEqual(['first', 'second', 'third']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should treat expired sessions as missing', async () => {
+    manager.ttl = -1;
+    const session = await manager.createSession('default');
+
+    expect(await manager.getSession(session.id)).toBeNull();
+    await expect(manager.resumeSession(session.id, 'default'))
+      .rejects.toThrow(`Session not found or expired: ${session.id}`);
+  });
+});
+
+describe('Session API', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should send earlier turns as prior chat messages in follow-up requests', async () => {
+    const created = await request(app)
+      .post('/api/sessions')
+      .send({ persona: 'parks-recreation' })
+      .expect(201);
+
+    const sessionId = created.body.session_id;
+    expect(created.body.persona).toBe('parks-recreation');
+    expect(created.body.expires_at).toBeDefined();
+
+    const requests = [];
+    nock(OLLAMA_URL)
+      .post('/api/chat', body => {
+        requests.push(body.messages);
+        return true;
+      })
+      .times(2)
+      .reply(200, () => chatReply(requests.length === 1
+        ? 'Lincoln Park has a public pool.'
+        : 'It opens at 9 AM.'));
+
+    const first = await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'Which park has a pool?', session_id: sessionId })
+      .expect(200);
+
+    expect(first.body.session_id).toBe(sessionId);
+    const exampleCount = requests[0].length;
+
+    await request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'What time does it open?', session_id: sessionId })
+      .expect(200);
+
+    // Follow-up adds the previous question and answer after the persona's examples
+    const followUp = requests[1].slice(exampleCount - 1);
+    expect(requests[1]).toHaveLength(exampleCount + 2);
+    expect(followUp.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(followUp[0].content).toContain('<user_question>\nWhich park has a pool?\n</user_question>');
+    expect(followUp[1].content).toBe('Lincoln Park has a public pool.');
+    expect(followUp[2].content).toContain('<user_question>\nWhat time does it open?\n</user_question>');
+
+    const transcript = await request(app)
+      .get(`/api/sessions/${sessionId}`)
+      .expect(200);
+
+    expect(transcript.body.turns.map(turn => turn.user)).toEqual(['Which park has a pool?', 'What time does it open?']);
+    expect(transcript.body.turns[1].assistant).toBe('It opens at 9 AM.');
+  });
+
+  test('should not bring back a session deleted during generation', async () => {
+    const created = await request(app)
+      .post('/api/sessions')
+      .send({ persona: 'parks-recreation' })
+      .expect(201);
+    const sessionId = created.body.session_id;
+
+    nock(OLLAMA_URL).post('/api/chat').delay(300).reply(200, chatReply('Lincoln Park has a public pool.'));
+
+    // Delete the session while its answer is still being generated
+    const chat = request(app)
+      .post('/api/chat/parks-recreation')
+      .send({ message: 'Which park has a pool?', session_id: sessionId })
+      .then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await request(app).delete(`/api/sessions/${sessionId}`).expect(204);
+
+    expect((await chat).status).toBe(200);
+    await request(app).get(`/api/sessions/${sessionId}`).expect(404);
+  });
+
+  test('should reject sessions used with another persona', async () => {
+    const created = await request(app)
+      .post('/api/sessions')
+      .send({ persona: 'parks-recreation' })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/chat/business-licensing')
+      .send({ message: 'How do I get a license?', session_id: created.body.session_id })
+      .expect(400);
+
+    expect(response.body.details).toContain('belongs to persona: parks-recreation');
+  });
+
+  test('should return 404 for unknown sessions and personas', async () => {
+    await request(app)
+      .post('/api/chat/default')
+      .send({ message: 'Hello there', session_id: '0b9f5c2e-4a4f-4a62-9d35-2f7c1e0d8a11' })
+      .expect(404);
+
+    await request(app)
+      .post('/api/sessions')
+      .send({ persona: 'unknown-persona' })
+      .expect(404);
+  });
+
+  test('should delete sessions', async () => {
+    const created = await request(app)
+      .post('/api/sessions')
+      .send({ persona: 'default' })
+      .expect(201);
+
+    await request(app).delete(`/api/sessions/${created.body.session_id}`).expect(204);
+    await request(app).get(`/api/sessions/${created.body.session_id}`).expect(404);
+    await request(app).delete(`/api/sessions/${created.body.session_id}`).expect(404);
+  });
+});
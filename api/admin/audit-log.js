@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Admin Audit Log
+ *
+ * Records administrative actions (provider switches, configuration reloads)
+ * as JSON lines appended to a file, so changes made through the admin API can
+ * be traced after the fact. The most recent entries are also kept in memory.
+ */
+class AuditLog {
+  /**
+   * @param {Object} options - Audit log options
+   * @param {string} options.filename - File to append to (default api/data/admin-audit.log)
+   * @param {number} options.maxRecent - Entries kept in memory (default 100)
+   */
+  constructor(options = {}) {
+    this.filename = options.filename || path.join(__dirname, '..', 'data', 'admin-audit.log');
+    this.maxRecent = options.maxRecent || 100;
+    this.recent = [];
+  }
+
+  /**
+   * Record an administrative action
+   * Failures to write the file are logged but never fail the action itself.
+   * @param {string} action - Action name (e.g. 'provider_switch')
+   * @param {Object} details - Action details (actor, outcome, ...)
+   * @returns {Promise<Object>} The recorded entry
+   */
+  async record(action, details = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      action,
+      ...details
+    };
+
+    this.recent.push(entry);
+    if (this.recent.length > this.maxRecent) {
+      this.recent.shift();
+    }
+
+    console.log(`📝 Audit: ${action} ${JSON.stringify(details)}`);
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+      await fs.promises.appendFile(this.filename, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error(`❌ Failed to write audit log ${this.filename}:`, error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array<Object>} Most recent entries, oldest first
+   */
+  getRecent(limit = this.maxRecent) {
+    return this.recent.slice(-limit);
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,105 @@
+/**
+ * Response Cache Stores
+ *
+ * Pluggable storage for cached chat responses. Every store implements the
+ * same async interface so the ResponseCache does not care where entries live:
+ *
+ *   get(key)               -> entry or null (expired entries are never returned)
+ *   set(key, entry)        -> void
+ *   deletePrefix(prefix)   -> number of entries removed
+ *   clear()                -> void
+ *   size()                 -> number of entries stored
+ *
+ * Entries are plain JSON-serializable objects with an `expires_at`
+ * timestamp in milliseconds. Keys start with `<persona>:` so a persona's
+ * entries can be removed with deletePrefix().
+ */
+
+/**
+ * In-memory LRU store (default). Entries are lost on restart.
+ * When `maxEntries` is reached the least recently used entry is evicted.
+ */
+class MemoryCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Maximum number of entries (default 500)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    // Map iteration order is insertion order: the first key is the least recently used
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    this.entries.delete(key);
+    if (entry.expires_at <= Date.now()) {
+      return null;
+    }
+
+    this.entries.set(key, entry);
+    return JSON.parse(JSON.stringify(entry));
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, JSON.parse(JSON.stringify(entry)));
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async deletePrefix(prefix) {
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+const cacheStores = {
+  memory: MemoryCacheStore
+};
+
+/**
+ * Create a response cache store from configuration
+ * @param {Object} config - { type: 'memory', ...storeOptions }
+ * @returns {Object} Cache store instance
+ */
+function createCacheStore(config = {}) {
+  const type = (config.type || 'memory').toLowerCase();
+  const StoreClass = cacheStores[type];
+
+  if (!StoreClass) {
+    throw new Error(
+      `Unsupported response cache store type: ${config.type}. ` +
+      `Supported stores: ${Object.keys(cacheStores).join(', ')}`
+    );
+  }
+
+  return new StoreClass(config);
+}
+
+module.exports = {
+  MemoryCacheStore,
+  createCacheStore
+};
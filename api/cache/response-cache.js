@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+/**
+ * Response Cache
+ *
+ * Remembers validated persona responses so a question that has already been
+ * answered is not sent to the model again. An entry is keyed on the persona,
+ * the version of its configuration, the provider and model it is routed to,
+ * the effective generation parameters, the version of its knowledge index (if
+ * any) and the normalized question (case, whitespace and trailing punctuation
+ * are ignored), and expires after `ttl` milliseconds. Editing a persona changes its version, so stale answers are
+ * never served; invalidatePersona() also frees their space.
+ *
+ * The cache never fails a request: store errors are logged and treated as a miss.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Cache store (see cache-store.js)
+   * @param {number} options.ttl - Milliseconds an entry is served for (default 3600000)
+   */
+  constructor({ store, ttl = 60 * 60 * 1000 } = {}) {
+    if (!store) {
+      throw new Error('Response cache store is required');
+    }
+
+    this.store = store;
+    this.ttl = ttl;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Normalize a question so trivially different phrasings share an entry
+   * @param {string} question - Sanitized user question
+   * @returns {string} Lowercased question with collapsed whitespace and no trailing punctuation
+   */
+  static normalizeQuestion(question) {
+    return question
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/[\s?!.]+$/, '');
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {Object} request
+   * @param {string} request.persona - Persona name
+   * @param {string} request.version - Version of the persona configuration
+   * @param {string} request.provider - Provider the persona is routed to
+   * @param {string} request.model - Model of that provider
+   * @param {string} request.question - Sanitized user question
+   * @param {Object} request.generation - Effective generation parameters
+   * @param {string|null} request.knowledge - Version of the persona's knowledge index (optional)
+   * @returns {string} Key of the form `<persona>:<hash>`
+   */
+  buildKey(request) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([this.buildScope(request), ResponseCache.normalizeQuestion(request.question)]))
+      .digest('hex');
+
+    return `${request.persona}:${hash}`;
+  }
+
+  /**
+   * Identify everything except the question that an answer depends on
+   * Answers are only reused within the same scope (see also SemanticCache).
+   * @param {Object} request - Same fields as buildKey(); the question is ignored
+   * @returns {string} Short hash of the persona version, provider, model, generation parameters and knowledge index
+   */
+  buildScope({ version, provider, model, generation = {}, knowledge = null }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([version, provider, model || null, generation, knowledge]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Key from buildKey()
+   * @returns {Promise<Object|null>} { response, cached_at } or null on a miss
+   */
+  async get(key) {
+    let entry = null;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      console.error('❌ Response cache lookup failed:', error.message);
+    }
+
+    if (entry) {
+      this.hits++;
+    } else {
+      this.misses++;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Cache a validated response
+   * @param {string} key - Key from buildKey()
+   * @param {Object} response - Response to serve on later hits (text, provider, model, usage, metadata)
+   */
+  async set(key, response) {
+    const now = Date.now();
+
+    try {
+      await this.store.set(key, { response, cached_at: now, expires_at: now + this.ttl });
+    } catch (error) {
+      console.error('❌ Failed to cache response:', error.message);
+    }
+  }
+
+  /**
+   * Remove every cached response of a persona
+   * @param {string} persona - Persona name
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidatePersona(persona) {
+    try {
+      const removed = await this.store.deletePrefix(`${persona}:`);
+      if (removed > 0) {
+        console.log(`🗑️ Invalidated ${removed} cached response(s) for persona: ${persona}`);
+      }
+      return removed;
+    } catch (error) {
+      console.error(`❌ Failed to invalidate cached responses for persona ${persona}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} Hit and miss counts, hit rate and number of entries
+   */
+  async getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hit_rate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : 0,
+      entries: await this.store.size(),
+      ttl_ms: this.ttl
+    };
+  }
+}
+
+module.exports = ResponseCache;
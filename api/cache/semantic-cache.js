@@ -0,0 +1,181 @@
+const { linkAbortSignal } = require('../providers/abort-utils');
+
+/**
+ * Semantic Response Cache
+ *
+ * Finds cached answers to questions that are worded differently but mean the
+ * same thing ("am I eligible for UI?" / "can I get unemployment?"). Each
+ * cached question is stored with its embedding vector, and a new question
+ * reuses the answer of the most similar cached question when their cosine
+ * similarity reaches `threshold`.
+ *
+ * Entries only match within the same persona and scope. The scope identifies
+ * the persona configuration version, provider, model and generation
+ * parameters (see ResponseCache.buildScope), so an answer is never reused
+ * across configurations. Entries expire after `ttl` milliseconds; when
+ * `maxEntries` is reached the least recently used entry is evicted.
+ *
+ * Embedding failures (e.g. the embedding model is not installed) are logged
+ * and treated as a miss, so the cache never fails a request. Each lookup
+ * gives up after `timeout` milliseconds, so an unreachable embedding provider
+ * delays a request by at most that long.
+ */
+class SemanticCache {
+  /**
+   * @param {Object} options
+   * @param {Function} options.embed - Called with (text, signal), returns a promise of an embedding vector
+   * @param {number} options.threshold - Minimum cosine similarity for a hit (default 0.9)
+   * @param {number} options.ttl - Milliseconds an entry is served for (default 3600000)
+   * @param {number} options.maxEntries - Maximum number of entries (default 500)
+   * @param {number} options.timeout - Milliseconds an embedding may take before the lookup is skipped (default 2000)
+   */
+  constructor({ embed, threshold = 0.9, ttl = 60 * 60 * 1000, maxEntries = 500, timeout = 2000 } = {}) {
+    if (typeof embed !== 'function') {
+      throw new Error('Semantic cache requires an embed function');
+    }
+
+    this.embedText = embed;
+    this.threshold = threshold;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.timeout = timeout;
+    // Oldest first; moved to the end when used
+    this.entries = [];
+    this.hits = 0;
+    this.misses = 0;
+    this.embeddingErrors = 0;
+  }
+
+  /**
+   * Compute the embedding of a question
+   * @param {string} question - Normalized question
+   * @param {AbortSignal} signal - Cancels the embeddings request (optional)
+   * @returns {Promise<Array<number>|null>} Embedding vector, or null if it could not be computed in time
+   */
+  async embed(question, signal) {
+    const controller = new AbortController();
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    const timer = setTimeout(() => controller.abort(new Error(`timed out after ${this.timeout}ms`)), this.timeout);
+    linkAbortSignal(signal, controller);
+
+    try {
+      const vector = await Promise.race([this.embedText(question, controller.signal), aborted]);
+
+      if (!Array.isArray(vector) || vector.length === 0) {
+        throw new Error('empty embedding');
+      }
+
+      return vector;
+    } catch (error) {
+      this.embeddingErrors++;
+      console.warn(`⚠️ Semantic cache lookup skipped, embedding failed: ${error.message}`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Find the cached answer most similar to a question
+   * @param {string} persona - Persona name
+   * @param {string} scope - Scope of the request (see ResponseCache.buildScope)
+   * @param {Array<number>} vector - Embedding of the question
+   * @returns {Object} { entry, similarity } - entry is null on a miss; similarity is that of the
+   *   closest cached question (null if there is none)
+   */
+  find(persona, scope, vector) {
+    const now = Date.now();
+    let best = null;
+    let bestSimilarity = null;
+
+    this.entries = this.entries.filter(entry => entry.expires_at > now);
+
+    for (const entry of this.entries) {
+      if (entry.persona !== persona || entry.scope !== scope || entry.vector.length !== vector.length) {
+        continue;
+      }
+
+      const similarity = cosineSimilarity(vector, entry.vector);
+      if (bestSimilarity === null || similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (best && bestSimilarity >= this.threshold) {
+      this.hits++;
+      this.entries = this.entries.filter(entry => entry !== best).concat(best);
+      return { entry: { response: best.response, cached_at: best.cached_at }, similarity: bestSimilarity };
+    }
+
+    this.misses++;
+    return { entry: null, similarity: bestSimilarity };
+  }
+
+  /**
+   * Cache an answer under a question's embedding
+   * @param {string} persona - Persona name
+   * @param {string} scope - Scope of the request (see ResponseCache.buildScope)
+   * @param {Array<number>} vector - Embedding of the question
+   * @param {Object} response - Response to serve on later hits
+   */
+  add(persona, scope, vector, response) {
+    const now = Date.now();
+
+    this.entries.push({ persona, scope, vector, response, cached_at: now, expires_at: now + this.ttl });
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+  }
+
+  /**
+   * Remove every cached answer of a persona
+   * @param {string} persona - Persona name
+   * @returns {number} Number of entries removed
+   */
+  invalidatePersona(persona) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.persona !== persona);
+    return before - this.entries.length;
+  }
+
+  /**
+   * @returns {Object} Hit and miss counts, embedding failures, threshold and number of entries
+   */
+  getStats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      embedding_errors: this.embeddingErrors,
+      threshold: this.threshold,
+      entries: this.entries.length
+    };
+  }
+}
+
+/**
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same length
+ * @returns {number} Cosine similarity between -1 and 1 (0 if either vector is all zeros)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+module.exports = {
+  SemanticCache,
+  cosineSimilarity
+};
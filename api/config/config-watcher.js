@@ -0,0 +1,82 @@
+const fs = require('fs');
+
+/**
+ * Configuration Watcher
+ *
+ * Watches the config directory and calls `onChange` once a burst of file
+ * events has settled. Editors typically write a file in several steps
+ * (truncate, write, rename), so events are debounced before reloading.
+ */
+class ConfigWatcher {
+  /**
+   * @param {string} configDir - Directory to watch
+   * @param {Function} onChange - Called with the changed file names after the debounce delay
+   * @param {Object} options - Watcher options
+   * @param {number} options.debounceMs - Quiet period before calling onChange (default 300)
+   */
+  constructor(configDir, onChange, options = {}) {
+    this.configDir = configDir;
+    this.onChange = onChange;
+    this.debounceMs = options.debounceMs ?? 300;
+    this.watcher = null;
+    this.timer = null;
+    this.changedFiles = new Set();
+  }
+
+  /**
+   * Start watching the config directory
+   */
+  start() {
+    if (this.watcher) {
+      return;
+    }
+
+    this.watcher = fs.watch(this.configDir, (eventType, filename) => {
+      if (filename && !/\.ya?ml$/.test(filename)) {
+        return;
+      }
+
+      this.changedFiles.add(filename || '(unknown)');
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), this.debounceMs);
+      this.timer.unref();
+    });
+
+    this.watcher.on('error', (error) => {
+      console.error('❌ Config watcher error:', error.message);
+    });
+
+    // Don't keep the process alive just for the watcher
+    this.watcher.unref();
+    console.log(`👀 Watching configuration directory: ${this.configDir}`);
+  }
+
+  /**
+   * Report the accumulated changes
+   */
+  async flush() {
+    const files = Array.from(this.changedFiles);
+    this.changedFiles.clear();
+
+    try {
+      await this.onChange(files);
+    } catch (error) {
+      console.error('❌ Configuration reload failed:', error.message);
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = ConfigWatcher;
@@ -58,6 +58,18 @@ class EnvironmentConfig {
       }
     }
 
+    // Session store validation
+    const sessionStore = process.env.SESSION_STORE;
+    if (sessionStore && !['memory', 'file', 'sqlite'].includes(sessionStore.toLowerCase())) {
+      errors.push(`SESSION_STORE must be one of memory, file, sqlite (got: ${sessionStore})`);
+    }
+
+    // Response cache validation
+    const cacheStore = process.env.RESPONSE_CACHE_STORE;
+    if (cacheStore && !['memory', 'none'].includes(cacheStore.toLowerCase())) {
+      errors.push(`RESPONSE_CACHE_STORE must be one of memory, none (got: ${cacheStore})`);
+    }
+
     // Development-specific warnings
     if (this.isDevelopment) {
       if (!process.env.OLLAMA_URL && provider !== 'openai') {
@@ -99,9 +111,31 @@ class EnvironmentConfig {
         generation: parseInt(process.env.GENERATION_TIMEOUT) || 120000
       },
       retries: {
-        maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
+        maxRetries: Number.isNaN(parseInt(process.env.MAX_RETRIES)) ? 3 : parseInt(process.env.MAX_RETRIES),
         retryDelay: parseInt(process.env.RETRY_DELAY) || 1000
-      }
+      },
+      sessions: {
+        store: process.env.SESSION_STORE || 'memory',
+        ttl: parseInt(process.env.SESSION_TTL) || 1800000,
+        maxTurns: parseInt(process.env.SESSION_MAX_TURNS) || 20,
+        historyTurns: parseInt(process.env.SESSION_HISTORY_TURNS) || 6,
+        directory: process.env.SESSION_DIR,
+        filename: process.env.SESSION_DB
+      },
+      responseCache: {
+        store: (process.env.RESPONSE_CACHE_STORE || 'memory').toLowerCase(),
+        ttl: parseInt(process.env.RESPONSE_CACHE_TTL) || 3600000,
+        maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500
+      },
+      knowledge: {
+        directory: process.env.KNOWLEDGE_DIR,
+        indexDirectory: process.env.KNOWLEDGE_INDEX_DIR
+      },
+      admin: {
+        apiKey: process.env.ADMIN_API_KEY || null,
+        auditLog: process.env.ADMIN_AUDIT_LOG
+      },
+      configWatch: process.env.CONFIG_WATCH !== 'false'
     };
   }
 
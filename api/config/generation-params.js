@@ -0,0 +1,143 @@
+/**
+ * Generation Parameters
+ *
+ * Resolves the sampling parameters sent to the provider from four layers,
+ * each overriding the one before:
+ *
+ * 1. `settings` in llm-config.yaml (default_temperature, default_max_tokens, default_top_p)
+ * 2. the `generation` block of the persona's provider in llm-config.yaml
+ * 3. the `generation` block of the persona YAML
+ * 4. the `generation` object of the chat request, only for parameters the
+ *    persona lists under `generation.overrides`, and only within its bounds
+ *
+ * Parameters use the snake_case names of the YAML files and API; providers
+ * receive them as generation options (temperature, maxTokens, topP, stop).
+ * Some provider types only receive a parameter when it is set for them (by
+ * the provider, persona or request layer), not from the defaults.
+ */
+
+// Parameter name in YAML/API -> provider option name
+const GENERATION_PARAMS = {
+  temperature: 'temperature',
+  max_tokens: 'maxTokens',
+  top_p: 'topP',
+  stop: 'stop'
+};
+
+// Parameters a request may override when the persona allows it
+const OVERRIDABLE_PARAMS = ['temperature', 'max_tokens', 'top_p'];
+
+// Provider type -> parameters not taken from the defaults. Anthropic recommends
+// adjusting temperature or top_p, not both.
+const EXPLICIT_ONLY_PARAMS = {
+  anthropic: ['top_p']
+};
+
+// Layers that only supply defaults
+const DEFAULT_SOURCES = ['default', 'settings'];
+
+// Used when llm-config.yaml has no defaults
+const BUILT_IN_DEFAULTS = {
+  temperature: 0.7,
+  max_tokens: 300,
+  top_p: 0.9
+};
+
+/**
+ * Check the per-request overrides against the bounds declared by the persona
+ * @param {*} overrides - `generation` object from the request body
+ * @param {Object} bounds - The persona's `generation.overrides` ({ param: { min, max } })
+ * @throws {Error} "Invalid generation parameters: ..." if an override is not allowed
+ */
+function validateGenerationOverrides(overrides, bounds = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid generation parameters: generation must be an object');
+  }
+
+  for (const [param, value] of Object.entries(overrides)) {
+    if (!OVERRIDABLE_PARAMS.includes(param)) {
+      throw new Error(`Invalid generation parameters: ${param} cannot be set per request (allowed: ${OVERRIDABLE_PARAMS.join(', ')})`);
+    }
+
+    const range = bounds[param];
+    if (!range) {
+      throw new Error(`Invalid generation parameters: ${param} cannot be overridden for this persona`);
+    }
+
+    const valid = param === 'max_tokens' ? Number.isInteger(value) : typeof value === 'number' && Number.isFinite(value);
+    if (!valid) {
+      throw new Error(`Invalid generation parameters: ${param} must be ${param === 'max_tokens' ? 'an integer' : 'a number'}`);
+    }
+
+    if (value < range.min || value > range.max) {
+      throw new Error(`Invalid generation parameters: ${param} must be between ${range.min} and ${range.max}`);
+    }
+  }
+}
+
+/**
+ * Resolve the effective generation parameters for a request
+ * @param {Object} layers - Parameter sources
+ * @param {Object} layers.settings - Global settings from llm-config.yaml
+ * @param {Object} layers.providerConfig - Configuration of the persona's provider
+ * @param {Object} layers.personaConfig - Persona configuration
+ * @param {Object|null} layers.overrides - `generation` object from the request body (optional)
+ * @returns {Object} { options, effective } - provider options, and the values with the layer each came from
+ * @throws {Error} If the request overrides are not allowed (see validateGenerationOverrides)
+ */
+function resolveGenerationParams({ settings = {}, providerConfig = {}, personaConfig = {}, overrides = null }) {
+  const personaGeneration = personaConfig?.generation || {};
+
+  if (overrides !== null && overrides !== undefined) {
+    validateGenerationOverrides(overrides, personaGeneration.overrides);
+  }
+
+  const layers = [
+    ['settings', {
+      temperature: settings.default_temperature,
+      max_tokens: settings.default_max_tokens,
+      top_p: settings.default_top_p
+    }],
+    ['provider', providerConfig?.generation || {}],
+    ['persona', personaGeneration],
+    ['request', overrides || {}]
+  ];
+
+  const effective = { sources: {} };
+  Object.entries(BUILT_IN_DEFAULTS).forEach(([param, value]) => {
+    effective[param] = value;
+    effective.sources[param] = 'default';
+  });
+
+  for (const [source, values] of layers) {
+    Object.keys(GENERATION_PARAMS).forEach(param => {
+      if (values[param] !== undefined && values[param] !== null) {
+        effective[param] = values[param];
+        effective.sources[param] = source;
+      }
+    });
+  }
+
+  (EXPLICIT_ONLY_PARAMS[providerConfig?.type] || []).forEach(param => {
+    if (DEFAULT_SOURCES.includes(effective.sources[param])) {
+      delete effective[param];
+      delete effective.sources[param];
+    }
+  });
+
+  const options = {};
+  Object.entries(GENERATION_PARAMS).forEach(([param, option]) => {
+    if (effective[param] !== undefined) {
+      options[option] = effective[param];
+    }
+  });
+
+  return { options, effective };
+}
+
+module.exports = {
+  GENERATION_PARAMS,
+  OVERRIDABLE_PARAMS,
+  validateGenerationOverrides,
+  resolveGenerationParams
+};
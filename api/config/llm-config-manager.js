@@ -12,6 +12,8 @@ class LLMConfigManager {
   constructor(configPath = null) {
     this.configPath = configPath || path.join(__dirname, 'llm-config.yaml');
     this.config = null;
+    // Provider selected at runtime (POST /api/admin/provider); survives reloads
+    this.providerOverride = null;
     this.loadConfig();
   }
 
@@ -47,6 +49,11 @@ class LLMConfigManager {
       console.log(`🔧 Using provider from environment: ${process.env.LLM_PROVIDER}`);
     }
 
+    // A provider switched at runtime takes precedence over the file and environment
+    if (this.providerOverride) {
+      this.config.default_provider = this.providerOverride;
+    }
+
     // Override Ollama URL if environment variable is set
     if (process.env.OLLAMA_URL && this.config.providers.ollama) {
       this.config.providers.ollama.url = process.env.OLLAMA_URL;
@@ -63,6 +70,45 @@ class LLMConfigManager {
       this.config.providers.openai.model = process.env.OPENAI_MODEL;
       console.log(`🔧 Using OpenAI model from environment: ${process.env.OPENAI_MODEL}`);
     }
+
+    if (process.env.ANTHROPIC_MODEL && this.config.providers.anthropic) {
+      this.config.providers.anthropic.model = process.env.ANTHROPIC_MODEL;
+      console.log(`🔧 Using Anthropic model from environment: ${process.env.ANTHROPIC_MODEL}`);
+    }
+
+    // Override retry settings if environment variables are set
+    if (process.env.MAX_RETRIES !== undefined || process.env.RETRY_DELAY !== undefined) {
+      this.config.settings = this.config.settings || {};
+
+      const maxRetries = parseInt(process.env.MAX_RETRIES, 10);
+      if (!Number.isNaN(maxRetries)) {
+        this.config.settings.max_retries = maxRetries;
+      }
+
+      const retryDelay = parseInt(process.env.RETRY_DELAY, 10);
+      if (!Number.isNaN(retryDelay)) {
+        this.config.settings.retry_delay = retryDelay;
+      }
+
+      console.log(`🔧 Using retry settings from environment: ${this.config.settings.max_retries} retries, ${this.config.settings.retry_delay}ms delay`);
+    }
+
+    // Override Azure OpenAI resource settings if environment variables are set
+    if (this.config.providers.azure) {
+      if (process.env.AZURE_OPENAI_ENDPOINT) {
+        this.config.providers.azure.endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+        console.log(`🔧 Using Azure OpenAI endpoint from environment: ${process.env.AZURE_OPENAI_ENDPOINT}`);
+      }
+
+      if (process.env.AZURE_OPENAI_DEPLOYMENT) {
+        this.config.providers.azure.deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
+        console.log(`🔧 Using Azure OpenAI deployment from environment: ${process.env.AZURE_OPENAI_DEPLOYMENT}`);
+      }
+
+      if (process.env.AZURE_OPENAI_API_VERSION) {
+        this.config.providers.azure.apiVersion = process.env.AZURE_OPENAI_API_VERSION;
+      }
+    }
   }
 
   /**
@@ -77,10 +123,7 @@ class LLMConfigManager {
       throw new Error(`Provider configuration not found: ${providerName}`);
     }
 
-    return {
-      name: providerName,
-      ...providerConfig
-    };
+    return this.buildProviderConfig(providerName, providerConfig);
   }
 
   /**
@@ -95,8 +138,23 @@ class LLMConfigManager {
       throw new Error(`Provider configuration not found: ${providerName}`);
     }
 
+    return this.buildProviderConfig(providerName, providerConfig);
+  }
+
+  /**
+   * Combine a provider's configuration with the global retry settings
+   * Values in the provider's own configuration take precedence.
+   * @param {string} name - Provider name
+   * @param {Object} providerConfig - Provider configuration from the file
+   * @returns {Object} Provider configuration object
+   */
+  buildProviderConfig(name, providerConfig) {
+    const settings = this.getSettings();
+
     return {
-      name: providerName,
+      name: name,
+      ...(settings.max_retries !== undefined && { maxRetries: settings.max_retries }),
+      ...(settings.retry_delay !== undefined && { retryDelay: settings.retry_delay }),
       ...providerConfig
     };
   }
@@ -129,11 +187,38 @@ class LLMConfigManager {
     return this.config.fallback_providers
       .map(name => {
         const config = this.config.providers[name];
-        return config ? { name, ...config } : null;
+        return config ? this.buildProviderConfig(name, config) : null;
       })
       .filter(config => config !== null);
   }
 
+  /**
+   * Get the current provider followed by the fallback providers, without duplicates
+   * @returns {Array<Object>} Provider configs in the order they should be tried
+   */
+  getProviderChain() {
+    const currentName = this.config.default_provider;
+    const current = this.config.providers?.[currentName];
+    const chain = current ? [this.buildProviderConfig(currentName, current)] : [];
+
+    return chain.concat(this.getFallbackProviders().filter(config => config.name !== currentName));
+  }
+
+  /**
+   * Switch the default provider at runtime
+   * The choice is kept when the configuration is reloaded, until the process restarts.
+   * @param {string} providerName - Name of a configured provider
+   * @throws {Error} If the provider is not configured
+   */
+  setDefaultProvider(providerName) {
+    if (!this.config.providers?.[providerName]) {
+      throw new Error(`Provider configuration not found: ${providerName}`);
+    }
+
+    this.providerOverride = providerName;
+    this.config.default_provider = providerName;
+  }
+
   /**
    * Get global settings
    * @returns {Object} Global settings object
@@ -142,6 +227,72 @@ class LLMConfigManager {
     return this.config.settings || {};
   }
 
+  /**
+   * Get the circuit breaker options from `settings.circuit_breaker`
+   * @returns {Object} Options for CircuitBreaker (unset values use its defaults)
+   */
+  getCircuitBreakerOptions() {
+    const breaker = this.getSettings().circuit_breaker || {};
+
+    return {
+      failureThreshold: breaker.failure_threshold,
+      resetTimeout: breaker.reset_timeout,
+      halfOpenMaxRequests: breaker.half_open_max_requests,
+      failureWindow: breaker.failure_window
+    };
+  }
+
+  /**
+   * Get the concurrency limits for a provider
+   * The provider's `concurrency` block overrides `settings.concurrency`.
+   * @param {string} providerName - Provider name
+   * @returns {Object} Options for ConcurrencyLimiter (unset values mean no limit)
+   */
+  getConcurrencyOptions(providerName) {
+    const limits = {
+      ...this.getSettings().concurrency,
+      ...this.config.providers?.[providerName]?.concurrency
+    };
+
+    return {
+      maxConcurrent: limits.max_concurrent,
+      maxQueue: limits.max_queue
+    };
+  }
+
+  /**
+   * Get the semantic response cache options from `settings.semantic_cache`
+   * @returns {Object} { enabled, provider, model, threshold, maxEntries, timeout }
+   */
+  getSemanticCacheOptions() {
+    const semanticCache = this.getSettings().semantic_cache || {};
+
+    return {
+      enabled: semanticCache.enabled === true,
+      provider: semanticCache.provider || this.config.default_provider,
+      model: semanticCache.model,
+      threshold: semanticCache.threshold ?? 0.9,
+      maxEntries: semanticCache.max_entries ?? 500,
+      timeout: semanticCache.timeout ?? 2000
+    };
+  }
+
+  /**
+   * Get the knowledge base ingestion options from `settings.knowledge`
+   * @returns {Object} { chunkTokens, embeddings } - embeddings is { provider, model } or null if disabled
+   */
+  getKnowledgeOptions() {
+    const knowledge = this.getSettings().knowledge || {};
+    const embeddings = knowledge.embeddings || {};
+
+    return {
+      chunkTokens: knowledge.chunk_tokens ?? 200,
+      embeddings: embeddings.enabled === true
+        ? { provider: embeddings.provider || this.config.default_provider, model: embeddings.model }
+        : null
+    };
+  }
+
   /**
    * Validate the configuration
    * @returns {Object} Validation result with isValid and errors
@@ -163,7 +314,7 @@ class LLMConfigManager {
     }
 
     // Check if default provider exists in providers
-    if (this.config.default_provider && !this.config.providers[this.config.default_provider]) {
+    if (this.config.default_provider && !this.config.providers?.[this.config.default_provider]) {
       errors.push(`Default provider '${this.config.default_provider}' not found in providers`);
     }
 
@@ -182,9 +333,26 @@ class LLMConfigManager {
 
   /**
    * Reload configuration from file
+   * The previous configuration is kept if the file cannot be loaded or is invalid.
+   * @returns {boolean} True if the configuration changed
+   * @throws {Error} If the new configuration cannot be loaded or is invalid
    */
   reload() {
-    this.loadConfig();
+    const previousConfig = this.config;
+
+    try {
+      this.loadConfig();
+
+      const validation = this.validate();
+      if (!validation.isValid) {
+        throw new Error(`Invalid LLM configuration: ${validation.errors.join('; ')}`);
+      }
+    } catch (error) {
+      this.config = previousConfig;
+      throw error;
+    }
+
+    return JSON.stringify(previousConfig) !== JSON.stringify(this.config);
   }
 
   /**
@@ -202,9 +370,10 @@ class LLMConfigManager {
     // Add provider summaries without sensitive data
     summary.providers = {};
     Object.entries(this.config?.providers || {}).forEach(([name, config]) => {
-      const { apiKey, api_key, ...safeConfig } = config;
+      const { apiKey, api_key, headers, ...safeConfig } = config;
       summary.providers[name] = {
         ...safeConfig,
+        ...(headers && { headers: Object.keys(headers) }),
         hasApiKey: !!(apiKey || api_key || process.env[config.apiKeyEnv])
       };
     });
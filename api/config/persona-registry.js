@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validatePersonaConfig, formatValidationErrors } = require('./persona-schema');
+
+// YAML files in the config directory that are not personas
+const NON_PERSONA_FILES = ['llm-config.yaml'];
+
+/**
+ * Persona Registry
+ *
+ * Discovers persona configurations from the YAML files in the config
+ * directory. The file name (without extension) is the persona name used in
+ * `POST /api/chat/:persona`, so adding a persona only requires a new file.
+ * Every file is validated against the persona schema (see persona-schema.js).
+ * Each persona also has a version, a hash of its configuration, which changes
+ * whenever the file's content does (used to invalidate cached responses).
+ */
+class PersonaRegistry {
+  /**
+   * @param {string} configDir - Directory containing the persona YAML files
+   * @param {Object} options - Registry options
+   * @param {Function} options.getProviderNames - Returns the providers defined in llm-config.yaml,
+   *   used to reject personas that route to an unknown provider (optional)
+   */
+  constructor(configDir = null, options = {}) {
+    this.configDir = configDir || __dirname;
+    this.getProviderNames = options.getProviderNames || null;
+    this.personas = new Map();
+    this.versions = new Map();
+    this.loadPersonas();
+  }
+
+  /**
+   * Read and validate every persona YAML file without changing the registry
+   * @returns {Object} { personas: Map of name to config, versions: Map of name to version,
+   *   errors: [{ file, path, problem }] }
+   */
+  readPersonas() {
+    const personas = new Map();
+    const versions = new Map();
+    const errors = [];
+    const providerNames = this.getProviderNames ? this.getProviderNames() : null;
+
+    const files = fs.readdirSync(this.configDir)
+      .filter(file => /\.ya?ml$/.test(file) && !NON_PERSONA_FILES.includes(file))
+      .sort();
+
+    for (const file of files) {
+      const name = file.replace(/\.ya?ml$/, '');
+
+      let config;
+      try {
+        config = yaml.load(fs.readFileSync(path.join(this.configDir, file), 'utf8'));
+      } catch (error) {
+        errors.push({ file, path: '(root)', problem: `invalid YAML: ${error.message.split('\n')[0]}` });
+        continue;
+      }
+
+      const problems = validatePersonaConfig(config, file, { providerNames });
+      if (problems.length > 0) {
+        errors.push(...problems);
+        continue;
+      }
+
+      personas.set(name, config);
+      versions.set(name, hashConfig(config));
+    }
+
+    return { personas, versions, errors };
+  }
+
+  /**
+   * Load every persona YAML file from the config directory
+   * @returns {Array<string>} Names of the personas that were added, changed or removed
+   * @throws {Error} If any persona file is invalid (error.validationErrors lists the problems)
+   */
+  loadPersonas() {
+    const { personas, versions, errors } = this.readPersonas();
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid persona configuration:\n${formatValidationErrors(errors)}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const names = new Set([...this.versions.keys(), ...versions.keys()]);
+    const changed = [...names].filter(name => this.versions.get(name) !== versions.get(name));
+
+    this.personas = personas;
+    this.versions = versions;
+    console.log(`✅ Loaded ${personas.size} persona(s) from: ${this.configDir}`);
+
+    return changed;
+  }
+
+  /**
+   * @param {string} name - Persona name
+   * @returns {boolean} True if the persona exists
+   */
+  has(name) {
+    return this.personas.has(name);
+  }
+
+  /**
+   * Get a persona configuration
+   * @param {string} name - Persona name
+   * @returns {Object} Persona configuration
+   * @throws {Error} If the persona does not exist
+   */
+  get(name) {
+    if (!this.personas.has(name)) {
+      throw new Error(`Configuration not found for persona: ${name}`);
+    }
+
+    return this.personas.get(name);
+  }
+
+  /**
+   * @param {string} name - Persona name
+   * @returns {string} Version of the persona's configuration (short hash)
+   * @throws {Error} If the persona does not exist
+   */
+  getVersion(name) {
+    this.get(name);
+    return this.versions.get(name);
+  }
+
+  /**
+   * @returns {Array<string>} Names of all personas
+   */
+  getNames() {
+    return Array.from(this.personas.keys());
+  }
+
+  /**
+   * Get public metadata for a persona (never includes the system prompt)
+   * @param {string} name - Persona name
+   * @returns {Object} Persona metadata
+   */
+  getMetadata(name) {
+    const config = this.get(name);
+    const metadata = config.metadata || {};
+
+    return {
+      name: name,
+      description: metadata.description || null,
+      domain: metadata.domain || null,
+      areas_of_expertise: metadata.areas_of_expertise || [],
+      example_count: Array.isArray(config.examples) ? config.examples.length : 0,
+      endpoint: `/api/chat/${name}`
+    };
+  }
+
+  /**
+   * @returns {Array<Object>} Public metadata for all personas
+   */
+  getAllMetadata() {
+    return this.getNames().map(name => this.getMetadata(name));
+  }
+}
+
+/**
+ * @param {Object} config - Parsed persona configuration
+ * @returns {string} Short hash identifying the configuration
+ */
+function hashConfig(config) {
+  return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 12);
+}
+
+module.exports = PersonaRegistry;
@@ -0,0 +1,283 @@
+/**
+ * Persona Configuration Schema
+ *
+ * Declares the structure of persona YAML files and validates parsed
+ * configurations against it. Every problem is reported with the file, the
+ * path inside the document (e.g. `examples[1].assistant`) and a description,
+ * so a broken persona is caught at startup or reload rather than producing
+ * prompts containing `undefined` at request time.
+ */
+
+const { PRIORITIES } = require('../providers/concurrency-limiter');
+
+const shortText = { type: 'string', minLength: 1, maxLength: 200 };
+
+/**
+ * Schema for the bounds a request may override a generation parameter within
+ * @param {number} minimum - Lowest value the parameter accepts
+ * @param {number} maximum - Highest value the parameter accepts
+ * @returns {Object} Schema node for { min, max }
+ */
+function overrideRange(minimum, maximum) {
+  const bound = { type: 'number', minimum, maximum };
+  return { type: 'object', required: ['min', 'max'], properties: { min: bound, max: bound } };
+}
+
+const personaSchema = {
+  type: 'object',
+  required: ['system_prompt'],
+  properties: {
+    persona: { type: 'string', minLength: 1, maxLength: 100 },
+    system_prompt: { type: 'string', minLength: 20, maxLength: 12000 },
+    priority: { type: 'string', enum: Object.keys(PRIORITIES) },
+    examples: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['user', 'assistant'],
+        properties: {
+          user: { type: 'string', minLength: 1, maxLength: 2000 },
+          assistant: { type: 'string', minLength: 1, maxLength: 6000 }
+        }
+      }
+    },
+    few_shot: {
+      type: 'object',
+      properties: {
+        max_examples: { type: 'integer', minimum: 0, maximum: 20 },
+        token_budget: { type: 'integer', minimum: 0, maximum: 8000 }
+      }
+    },
+    knowledge: {
+      type: 'object',
+      required: ['directory'],
+      properties: {
+        directory: { type: 'string', minLength: 1, maxLength: 500 },
+        max_passages: { type: 'integer', minimum: 1, maximum: 10 },
+        token_budget: { type: 'integer', minimum: 50, maximum: 4000 }
+      }
+    },
+    llm: {
+      type: 'object',
+      required: ['provider'],
+      properties: {
+        provider: { type: 'string', minLength: 1, maxLength: 100 },
+        fallback_providers: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 100 } }
+      }
+    },
+    generation: {
+      type: 'object',
+      properties: {
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        max_tokens: { type: 'integer', minimum: 1, maximum: 8192 },
+        top_p: { type: 'number', minimum: 0, maximum: 1 },
+        stop: { type: 'array', maxItems: 8, items: { type: 'string', minLength: 1, maxLength: 100 } },
+        overrides: {
+          type: 'object',
+          properties: {
+            temperature: overrideRange(0, 2),
+            max_tokens: overrideRange(1, 8192),
+            top_p: overrideRange(0, 1)
+          }
+        }
+      }
+    },
+    metadata: {
+      type: 'object',
+      properties: {
+        description: { type: 'string', minLength: 1, maxLength: 500 },
+        domain: { type: 'string', minLength: 1, maxLength: 100 },
+        version: { type: ['string', 'number'] },
+        areas_of_expertise: { type: 'array', maxItems: 30, items: shortText }
+      }
+    }
+  }
+};
+
+/**
+ * Describe the type of a YAML value for error messages
+ * @param {*} value - Parsed value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null || value === undefined) {
+    return 'empty';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * @param {*} value - Parsed value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema node, collecting problems
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value in the document
+ * @param {Array<Object>} problems - Collected { path, problem } entries
+ */
+function validateNode(value, schema, path, problems) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (!types.some(type => matchesType(value, type))) {
+    problems.push({ path, problem: `must be ${types.join(' or ')} (got ${describeType(value)})` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      problems.push({
+        path,
+        problem: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push({ path, problem: `must be at most ${schema.maxLength} characters (got ${value.length})` });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push({ path, problem: `must be one of ${schema.enum.join(', ')} (got "${value}")` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ path, problem: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ path, problem: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push({ path, problem: `must have at most ${schema.maxItems} items (got ${value.length})` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, problems));
+    }
+  }
+
+  if (matchesType(value, 'object') && schema.properties) {
+    const prefix = path ? `${path}.` : '';
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        problems.push({ path: `${prefix}${key}`, problem: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties[key];
+
+      if (!childSchema) {
+        problems.push({
+          path: `${prefix}${key}`,
+          problem: `unknown key (allowed: ${Object.keys(schema.properties).join(', ')})`
+        });
+        return;
+      }
+
+      if (child === undefined || child === null) {
+        if (!(schema.required || []).includes(key)) {
+          problems.push({ path: `${prefix}${key}`, problem: 'must not be empty' });
+        }
+        return;
+      }
+
+      validateNode(child, childSchema, `${prefix}${key}`, problems);
+    });
+  }
+}
+
+/**
+ * Check that the providers a persona routes to exist in the LLM configuration
+ * @param {Object} llm - The persona's `llm` block
+ * @param {Array<string>} providerNames - Providers defined in llm-config.yaml
+ * @param {Array<Object>} problems - Collected { path, problem } entries
+ */
+function validateProviderNames(llm, providerNames, problems) {
+  const check = (name, path) => {
+    if (typeof name === 'string' && !providerNames.includes(name)) {
+      problems.push({ path, problem: `unknown provider "${name}" (configured: ${providerNames.join(', ')})` });
+    }
+  };
+
+  check(llm.provider, 'llm.provider');
+  if (Array.isArray(llm.fallback_providers)) {
+    llm.fallback_providers.forEach((name, index) => check(name, `llm.fallback_providers[${index}]`));
+  }
+}
+
+/**
+ * Validate a parsed persona configuration
+ * @param {Object} config - Parsed persona YAML
+ * @param {string} file - File name, used in error reports
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.providerNames - Providers defined in llm-config.yaml; when given, `llm` must only name these
+ * @returns {Array<Object>} Problems as { file, path, problem } (empty if valid)
+ */
+function validatePersonaConfig(config, file, options = {}) {
+  const problems = [];
+  const name = file.replace(/\.ya?ml$/, '');
+
+  validateNode(config, personaSchema, '', problems);
+
+  // The file name is the persona's route, so a different `persona` value is a mistake
+  if (matchesType(config, 'object') && typeof config.persona === 'string' && config.persona !== name) {
+    problems.push({ path: 'persona', problem: `must match the file name "${name}" (got "${config.persona}")` });
+  }
+
+  const overrides = matchesType(config, 'object') && matchesType(config.generation, 'object') ? config.generation.overrides : null;
+  if (matchesType(overrides, 'object')) {
+    Object.entries(overrides).forEach(([param, range]) => {
+      if (matchesType(range, 'object') && typeof range.min === 'number' && typeof range.max === 'number' && range.min > range.max) {
+        problems.push({ path: `generation.overrides.${param}`, problem: `min must not be greater than max (got ${range.min} > ${range.max})` });
+      }
+    });
+  }
+
+  if (options.providerNames && matchesType(config, 'object') && matchesType(config.llm, 'object')) {
+    validateProviderNames(config.llm, options.providerNames, problems);
+  }
+
+  return problems.map(({ path, problem }) => ({ file, path: path || '(root)', problem }));
+}
+
+/**
+ * Format validation problems for logs and CLI output
+ * @param {Array<Object>} errors - Problems from validatePersonaConfig
+ * @returns {string} One problem per line
+ */
+function formatValidationErrors(errors) {
+  return errors.map(error => `${error.file}: ${error.path}: ${error.problem}`).join('\n');
+}
+
+module.exports = {
+  personaSchema,
+  validatePersonaConfig,
+  formatValidationErrors
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * Admin Authentication Middleware
+ *
+ * Protects administrative endpoints with a shared API key sent either as
+ * `Authorization: Bearer <key>` or `X-Admin-Key: <key>`. When no key is
+ * configured the admin endpoints are disabled entirely.
+ */
+
+/**
+ * Extract the admin key presented by the client
+ * @param {Object} req - Express request
+ * @returns {string|null} Presented key
+ */
+function getPresentedKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+
+  if (match) {
+    return match[1].trim();
+  }
+
+  return req.get('X-Admin-Key') || null;
+}
+
+/**
+ * Compare keys in constant time
+ * @param {string} presented - Key sent by the client
+ * @param {string} expected - Configured key
+ * @returns {boolean} True if the keys match
+ */
+function keysMatch(presented, expected) {
+  // Hash both values so the comparison does not leak the key length
+  const presentedHash = crypto.createHash('sha256').update(presented).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+
+  return crypto.timingSafeEqual(presentedHash, expectedHash);
+}
+
+/**
+ * Create middleware that requires the admin API key
+ * @param {Function} getApiKey - Returns the configured admin key (or null when disabled)
+ * @returns {Function} Express middleware
+ */
+function createAdminAuth(getApiKey) {
+  return (req, res, next) => {
+    const apiKey = getApiKey();
+
+    if (!apiKey) {
+      return res.status(503).json({
+        error: 'Admin endpoints are disabled',
+        details: 'Set ADMIN_API_KEY to enable administrative endpoints',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const presentedKey = getPresentedKey(req);
+
+    if (!presentedKey || !keysMatch(presentedKey, apiKey)) {
+      console.warn(`🚨 Rejected admin request: ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({
+        error: 'Admin authentication required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createAdminAuth
+};
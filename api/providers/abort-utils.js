@@ -0,0 +1,58 @@
+/**
+ * Cancellation helpers shared by providers
+ *
+ * Callers pass an AbortSignal as `options.signal` to cancel a generation
+ * (e.g. when the client disconnects). Providers hand it to their HTTP client,
+ * or link it to the AbortController they already use for streaming, so the
+ * upstream request stops instead of running to completion.
+ */
+
+/**
+ * Abort a controller when a signal fires
+ * @param {AbortSignal|undefined} signal - Caller's signal (optional)
+ * @param {AbortController} controller - Controller of the upstream request
+ */
+function linkAbortSignal(signal, controller) {
+  if (!signal) {
+    return;
+  }
+
+  if (signal.aborted) {
+    controller.abort(signal.reason);
+    return;
+  }
+
+  signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+}
+
+/**
+ * Wait for a number of milliseconds, stopping early if the signal fires
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal|undefined} signal - Caller's signal (optional)
+ * @returns {Promise<void>} Rejects with the signal's reason when aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  linkAbortSignal,
+  sleep
+};
@@ -0,0 +1,379 @@
+const BaseLLMProvider = require('./base-provider');
+const axios = require('axios');
+const { parseSSE, readStreamErrorBody } = require('./stream-utils');
+const { createProviderError } = require('./provider-errors');
+const { linkAbortSignal } = require('./abort-utils');
+
+/**
+ * Anthropic Provider Implementation
+ *
+ * Handles communication with Anthropic's Messages API (Claude 3 family, etc.)
+ * Uses plain HTTP so the API can be stubbed locally in tests.
+ */
+class AnthropicProvider extends BaseLLMProvider {
+  constructor(config) {
+    super(config);
+
+    // Get API key from multiple sources in order of preference:
+    // 1. Direct config.apiKey
+    // 2. Environment variable specified in config.apiKeyEnv
+    // 3. Default ANTHROPIC_API_KEY environment variable
+    this.apiKey = config.apiKey ||
+                  (config.apiKeyEnv && process.env[config.apiKeyEnv]) ||
+                  process.env.ANTHROPIC_API_KEY;
+
+    if (!this.apiKey) {
+      throw new Error(
+        'Anthropic API key is required. Set ANTHROPIC_API_KEY environment variable, ' +
+        'or provide apiKey in config, or set the environment variable specified in apiKeyEnv'
+      );
+    }
+
+    this.url = (config.url || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.apiVersion = config.apiVersion || '2023-06-01';
+    this.timeout = config.timeout || 30000;
+
+    // ANTHROPIC_MODEL is applied to the default `anthropic` entry by LLMConfigManager
+    this.model = config.model || 'claude-3-haiku-20240307';
+
+    console.log(`🔧 Anthropic provider initialized with model: ${this.model}`);
+  }
+
+  /**
+   * Generate chat response from Anthropic
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Response object
+   */
+  async generateChat(messages, options = {}) {
+    try {
+      const validatedMessages = this.validateMessages(messages);
+      const validatedOptions = this.validateOptions(options);
+
+      console.log(`🤖 Generating response with Anthropic model: ${this.model}`);
+
+      const body = this.buildMessagesRequest(validatedMessages, validatedOptions);
+
+      const { result: response, retries } = await this.withRetry(() => axios.post(`${this.url}/v1/messages`, body, {
+        timeout: this.timeout,
+        signal: validatedOptions.signal,
+        headers: this.getHeaders()
+      }), { signal: validatedOptions.signal });
+
+      const content = response.data?.content;
+      if (!Array.isArray(content)) {
+        throw new Error('Invalid response format from Anthropic');
+      }
+
+      const text = content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      const inputTokens = response.data.usage?.input_tokens || 0;
+      const outputTokens = response.data.usage?.output_tokens || 0;
+
+      return {
+        text: text.trim(),
+        provider: 'anthropic',
+        model: response.data.model || this.model,
+        usage: {
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        },
+        metadata: {
+          finish_reason: this.mapStopReason(response.data.stop_reason),
+          stop_reason: response.data.stop_reason,
+          response_id: response.data.id,
+          retries: retries
+        }
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Stream chat response from Anthropic (server-sent events)
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
+   */
+  async *streamChat(messages, options = {}) {
+    const validatedMessages = this.validateMessages(messages);
+    const validatedOptions = this.validateOptions(options);
+    const controller = new AbortController();
+    let completed = false;
+    let stream;
+    let retries;
+
+    linkAbortSignal(validatedOptions.signal, controller);
+
+    console.log(`🤖 Streaming response with Anthropic model: ${this.model}`);
+
+    try {
+      let response;
+      ({ result: response, retries } = await this.withRetry(async () => {
+        try {
+          return await axios.post(`${this.url}/v1/messages`, {
+            ...this.buildMessagesRequest(validatedMessages, validatedOptions),
+            stream: true
+          }, {
+            timeout: this.timeout,
+            responseType: 'stream',
+            signal: controller.signal,
+            headers: this.getHeaders()
+          });
+        } catch (error) {
+          if (error.response) {
+            error.response.data = await readStreamErrorBody(error);
+          }
+          throw error;
+        }
+      }, { signal: controller.signal }));
+      stream = response.data;
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    let text = '';
+    let message = {};
+    let stopReason = null;
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    try {
+      for await (const event of parseSSE(stream)) {
+        const data = JSON.parse(event.data);
+
+        switch (data.type) {
+          case 'message_start':
+            message = data.message || {};
+            inputTokens = message.usage?.input_tokens || 0;
+            outputTokens = message.usage?.output_tokens || 0;
+            break;
+          case 'content_block_delta':
+            if (data.delta?.type === 'text_delta' && data.delta.text) {
+              text += data.delta.text;
+              yield { type: 'token', text: data.delta.text };
+            }
+            break;
+          case 'message_delta':
+            stopReason = data.delta?.stop_reason || stopReason;
+            outputTokens = data.usage?.output_tokens || outputTokens;
+            break;
+          case 'error':
+            throw new Error(`Anthropic API error: ${data.error?.message || 'stream error'}`);
+        }
+      }
+
+      completed = true;
+      yield {
+        type: 'done',
+        text: text.trim(),
+        provider: 'anthropic',
+        model: message.model || this.model,
+        usage: {
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        },
+        metadata: {
+          finish_reason: this.mapStopReason(stopReason),
+          stop_reason: stopReason,
+          response_id: message.id,
+          retries: retries
+        }
+      };
+    } finally {
+      if (!completed) {
+        // Consumer stopped early or the stream failed - stop generation upstream
+        controller.abort();
+      }
+    }
+  }
+
+  /**
+   * Validate options and set defaults
+   * top_p has no default: Anthropic recommends adjusting temperature or
+   * top_p, not both, so it is only sent when the caller sets it.
+   * @param {Object} options - Input options
+   * @returns {Object} Validated options with defaults
+   */
+  validateOptions(options = {}) {
+    const validatedOptions = super.validateOptions(options);
+
+    if (options.topP === undefined || options.topP === null) {
+      delete validatedOptions.topP;
+    }
+
+    return validatedOptions;
+  }
+
+  /**
+   * Build the Messages API request body
+   * @param {Array<Object>} chatMessages - Validated chat messages
+   * @param {Object} options - Validated generation options
+   * @returns {Object} Request body
+   */
+  buildMessagesRequest(chatMessages, options) {
+    // The Messages API takes the system prompt as a top-level field
+    const { system, messages } = this.splitSystemMessages(chatMessages);
+
+    const body = {
+      model: this.model,
+      max_tokens: options.maxTokens,
+      messages: messages,
+      temperature: options.temperature
+    };
+
+    if (options.topP !== undefined) {
+      body.top_p = options.topP;
+    }
+
+    if (system) {
+      body.system = system;
+    }
+
+    if (options.stop && options.stop.length > 0) {
+      body.stop_sequences = options.stop;
+    }
+
+    return body;
+  }
+
+  /**
+   * Convert an axios error into a user-facing error
+   * @param {Error} error - Original error
+   * @returns {Error} Normalized error
+   */
+  normalizeError(error) {
+    console.error('Anthropic API error:', error.message);
+
+    if (error.code === 'ECONNREFUSED') {
+      return createProviderError('Unable to connect to Anthropic API.', error);
+    }
+
+    if (error.response) {
+      const apiMessage = error.response.data?.error?.message || error.response.statusText;
+
+      switch (error.response.status) {
+        case 401:
+          return createProviderError('Invalid Anthropic API key', error);
+        case 429:
+          return createProviderError('Anthropic rate limit exceeded. Please try again later.', error);
+        case 500:
+        case 502:
+        case 503:
+        case 529:
+          return createProviderError('Anthropic service temporarily unavailable', error);
+        default:
+          return createProviderError(`Anthropic API error: ${error.response.status} - ${apiMessage}`, error);
+      }
+    }
+
+    return createProviderError(`Anthropic service error: ${error.message}`, error);
+  }
+
+  /**
+   * Separate system messages from the conversation turns
+   * @param {Array} messages - Chat messages with system/user/assistant roles
+   * @returns {Object} { system, messages } in Messages API format
+   */
+  splitSystemMessages(messages) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    return {
+      system: system || null,
+      messages: messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({ role: message.role, content: message.content }))
+    };
+  }
+
+  /**
+   * Map Anthropic stop reasons onto the OpenAI-style finish_reason values
+   * used by the other providers
+   * @param {string} stopReason - Anthropic stop_reason
+   * @returns {string} Normalized finish reason
+   */
+  mapStopReason(stopReason) {
+    switch (stopReason) {
+      case 'end_turn':
+      case 'stop_sequence':
+        return 'stop';
+      case 'max_tokens':
+        return 'length';
+      case 'tool_use':
+        return 'tool_calls';
+      default:
+        return stopReason || 'unknown';
+    }
+  }
+
+  /**
+   * Build request headers for the Anthropic API
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion
+    };
+  }
+
+  /**
+   * Check Anthropic service health
+   * @returns {Promise<boolean>} True if healthy
+   */
+  async healthCheck() {
+    try {
+      const response = await axios.get(`${this.url}/v1/models`, {
+        timeout: 5000,
+        headers: this.getHeaders()
+      });
+
+      return response.status === 200 && Array.isArray(response.data.data);
+    } catch (error) {
+      console.error('Anthropic health check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get provider display name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return `Anthropic (${this.model})`;
+  }
+
+  /**
+   * Get available models from Anthropic
+   * @returns {Promise<Array>} List of available models
+   */
+  async getAvailableModels() {
+    try {
+      const response = await axios.get(`${this.url}/v1/models`, {
+        timeout: 10000,
+        headers: this.getHeaders()
+      });
+
+      return (response.data.data || []).map(model => ({
+        id: model.id,
+        display_name: model.display_name,
+        created_at: model.created_at
+      }));
+    } catch (error) {
+      console.error('Failed to get Anthropic models:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,119 @@
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+
+/**
+ * Azure OpenAI Provider Implementation
+ *
+ * Handles communication with OpenAI models hosted in Azure OpenAI Service.
+ * Requests are addressed to a deployment rather than a model name and are
+ * authenticated with the resource's API key header.
+ */
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  /**
+   * Resolve the Azure resource endpoint
+   * @param {Object} config - Provider configuration
+   * @returns {string} Endpoint without a trailing slash
+   */
+  resolveBaseUrl(config) {
+    // AZURE_OPENAI_ENDPOINT is applied to the default `azure` entry by LLMConfigManager
+    const endpoint = config.endpoint;
+
+    if (!endpoint) {
+      throw new Error('Azure OpenAI endpoint is required in configuration');
+    }
+
+    return endpoint.replace(/\/+$/, '');
+  }
+
+  /**
+   * Resolve the Azure API key (required)
+   * @param {Object} config - Provider configuration
+   * @returns {string} API key
+   */
+  resolveApiKey(config) {
+    // Get API key from multiple sources in order of preference:
+    // 1. Direct config.apiKey
+    // 2. Environment variable specified in config.apiKeyEnv
+    // 3. Default AZURE_OPENAI_API_KEY environment variable
+    const apiKey = super.resolveApiKey(config) || process.env.AZURE_OPENAI_API_KEY;
+
+    if (!apiKey) {
+      throw new Error(
+        'Azure OpenAI API key is required. Set AZURE_OPENAI_API_KEY environment variable, ' +
+        'or provide apiKey in config, or set the environment variable specified in apiKeyEnv'
+      );
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Azure addresses models by deployment name
+   * @param {Object} config - Provider configuration
+   * @returns {string} Deployment name
+   */
+  resolveModel(config) {
+    // AZURE_OPENAI_DEPLOYMENT and AZURE_OPENAI_API_VERSION are applied to the default `azure` entry by LLMConfigManager
+    this.deployment = config.deployment;
+    this.apiVersion = config.apiVersion || '2024-02-01';
+
+    if (!this.deployment) {
+      throw new Error('Azure OpenAI deployment is required in configuration');
+    }
+
+    return this.deployment;
+  }
+
+  getProviderType() {
+    return 'azure';
+  }
+
+  getProviderLabel() {
+    return 'Azure OpenAI';
+  }
+
+  getChatCompletionsUrl() {
+    return `${this.baseUrl}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions`;
+  }
+
+  getModelsUrl() {
+    return `${this.baseUrl}/openai/models`;
+  }
+
+  getRequestParams() {
+    return { 'api-version': this.apiVersion };
+  }
+
+  /**
+   * Azure authenticates with an api-key header instead of a bearer token
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...this.headers,
+      'api-key': this.apiKey
+    };
+  }
+
+  /**
+   * The deployment in the URL selects the model, so none is sent in the body
+   */
+  buildRequestBody(model, messages, options) {
+    const { model: _model, ...body } = super.buildRequestBody(model, messages, options);
+    return body;
+  }
+
+  buildMetadata(data, choice) {
+    return {
+      ...super.buildMetadata(data, choice),
+      deployment: this.deployment,
+      base_model: data.model
+    };
+  }
+
+  getNotFoundMessage() {
+    return `Azure OpenAI deployment not found: ${this.deployment}`;
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -1,3 +1,6 @@
+const { isTransientError, getRetryAfterMs } = require('./provider-errors');
+const { sleep } = require('./abort-utils');
+
 /**
  * Base LLM Provider Interface
  * 
@@ -10,16 +13,146 @@ class BaseLLMProvider {
       throw new Error('Provider configuration is required');
     }
     this.config = config;
+
+    // Retry settings: provider config, then settings.max_retries / retry_delay
+    // (MAX_RETRIES / RETRY_DELAY), see LLMConfigManager
+    this.retryPolicy = {
+      maxRetries: Number.isInteger(config.maxRetries) && config.maxRetries >= 0 ? config.maxRetries : 3,
+      retryDelay: Number.isFinite(config.retryDelay) && config.retryDelay >= 0 ? config.retryDelay : 1000,
+      maxRetryDelay: Number.isFinite(config.maxRetryDelay) && config.maxRetryDelay >= 0 ? config.maxRetryDelay : 30000
+    };
+  }
+
+  /**
+   * Generate a response from a list of chat messages
+   *
+   * Messages are `{ role, content }` objects where role is `system`, `user`
+   * or `assistant`. Providers send them to their native chat API so roles
+   * are never inferred from text. When `options.signal` (an AbortSignal)
+   * fires, the upstream request must be cancelled.
+   * @param {Array<Object>} messages - Chat messages, oldest first
+   * @param {Object} options - Optional parameters (temperature, maxTokens, etc.)
+   * @returns {Promise<Object>} Response object with text, provider, model, etc.
+   */
+  async generateChat(messages, options = {}) {
+    throw new Error('generateChat must be implemented by provider');
   }
 
   /**
-   * Generate a response from the LLM
+   * Generate a response from a single prompt string
+   *
+   * The prompt is sent as one user message. Providers with a native
+   * completion endpoint may override this.
    * @param {string} prompt - The complete prompt to send to the LLM
    * @param {Object} options - Optional parameters (temperature, maxTokens, etc.)
    * @returns {Promise<Object>} Response object with text, provider, model, etc.
    */
   async generateResponse(prompt, options = {}) {
-    throw new Error('generateResponse must be implemented by provider');
+    return this.generateChat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Stream a chat response from the LLM as it is generated
+   *
+   * Yields `{ type: 'token', text }` chunks followed by exactly one
+   * `{ type: 'done', text, provider, model, usage, metadata }` chunk carrying
+   * the full text. Stopping iteration early (e.g. `break` in a `for await`)
+   * must cancel the upstream request.
+   *
+   * Providers without native streaming inherit this implementation, which
+   * emits the complete response as a single token.
+   * @param {Array<Object>} messages - Chat messages, oldest first
+   * @param {Object} options - Optional parameters (temperature, maxTokens, etc.)
+   * @returns {AsyncGenerator<Object>} Stream of token chunks and a final done chunk
+   */
+  async *streamChat(messages, options = {}) {
+    const response = await this.generateChat(messages, options);
+
+    yield { type: 'token', text: response.text };
+    yield { type: 'done', ...response };
+  }
+
+  /**
+   * Stream a response to a single prompt string (see streamChat)
+   * @param {string} prompt - The complete prompt to send to the LLM
+   * @param {Object} options - Optional parameters (temperature, maxTokens, etc.)
+   * @returns {AsyncGenerator<Object>} Stream of token chunks and a final done chunk
+   */
+  async *streamResponse(prompt, options = {}) {
+    yield* this.streamChat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Compute embedding vectors for a list of texts
+   *
+   * Used to compare texts by meaning (e.g. the semantic response cache).
+   * Providers with an embeddings API override this. `options.model` selects
+   * the embedding model (default: the provider's `embeddingModel` config),
+   * `options.signal` cancels the request and `options.maxRetries` overrides
+   * the provider's retry policy.
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Optional parameters (model, signal, maxRetries)
+   * @returns {Promise<Object>} { embeddings, provider, model } with one vector per text, in order
+   */
+  async embed(texts, options = {}) {
+    throw new Error(`Embeddings are not supported by ${this.getProviderName()}`);
+  }
+
+  /**
+   * Run a request, retrying temporary failures with exponential backoff
+   *
+   * Connection errors, timeouts, 408s, 429s and 5xx responses are retried up
+   * to `retryPolicy.maxRetries` times (or `options.maxRetries`); any other
+   * error is thrown immediately.
+   * The operation should throw the raw HTTP client error so status codes and
+   * headers are available for classification. Once `signal` fires no further
+   * attempt is made and a pending backoff wait ends at once.
+   * @param {Function} operation - Performs the request and returns a promise
+   * @param {Object} options - Retry options
+   * @param {Function} options.isRetryable - Classifies errors (defaults to isTransientError)
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @param {number} options.maxRetries - Retries for this request (defaults to retryPolicy.maxRetries)
+   * @returns {Promise<Object>} { result, retries } where retries is the number of repeated attempts
+   */
+  async withRetry(operation, { isRetryable = isTransientError, signal, maxRetries = this.retryPolicy.maxRetries } = {}) {
+
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+
+      try {
+        return { result: await operation(), retries: attempt };
+      } catch (error) {
+        const delay = attempt < maxRetries && isRetryable(error) ? this.getRetryDelay(error, attempt) : null;
+
+        if (delay === null) {
+          throw error;
+        }
+
+        console.warn(`🔁 Request failed (${error.message}), retrying in ${delay}ms (retry ${attempt + 1} of ${maxRetries})`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Delay before the next retry
+   * Uses the server's Retry-After when present, otherwise exponential backoff
+   * (retryDelay * 2^attempt, capped at maxRetryDelay) with jitter so clients
+   * don't retry in lockstep.
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Zero-based number of the failed attempt
+   * @returns {number|null} Milliseconds to wait, or null if the server asks for longer than maxRetryDelay
+   */
+  getRetryDelay(error, attempt) {
+    const { retryDelay, maxRetryDelay } = this.retryPolicy;
+    const retryAfter = getRetryAfterMs(error);
+
+    if (retryAfter !== null) {
+      return retryAfter <= maxRetryDelay ? retryAfter : null;
+    }
+
+    const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
   }
 
   /**
@@ -50,6 +183,50 @@ class BaseLLMProvider {
     };
   }
 
+  /**
+   * Validate chat messages
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {Array<Object>} Messages reduced to { role, content }
+   * @throws {Error} If the list is empty or a message is malformed
+   */
+  validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages must be a non-empty array');
+    }
+
+    return messages.map((message, index) => {
+      if (!message || !['system', 'user', 'assistant'].includes(message.role)) {
+        throw new Error(`Invalid role for message ${index}: ${message?.role}`);
+      }
+
+      if (typeof message.content !== 'string') {
+        throw new Error(`Message ${index} content must be a string`);
+      }
+
+      return { role: message.role, content: message.content };
+    });
+  }
+
+  /**
+   * Validate texts to embed
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Array<string>} The texts
+   * @throws {Error} If the list is empty or an entry is not a non-empty string
+   */
+  validateTexts(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      throw new Error('Texts to embed must be a non-empty array');
+    }
+
+    texts.forEach((text, index) => {
+      if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error(`Text ${index} to embed must be a non-empty string`);
+      }
+    });
+
+    return texts;
+  }
+
   /**
    * Validate options and set defaults
    * @param {Object} options - Input options
@@ -0,0 +1,193 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks the failures of a single provider so requests stop waiting on a
+ * backend that is down or overloaded:
+ *
+ * - closed: requests pass through. After `failureThreshold` consecutive
+ *   temporary failures the circuit opens.
+ * - open: requests are rejected immediately for `resetTimeout` milliseconds.
+ * - half-open: after the reset timeout up to `halfOpenMaxRequests` trial
+ *   requests are let through. A success closes the circuit, a failure opens
+ *   it again for another `resetTimeout`.
+ *
+ * The breaker only counts outcomes; callers decide which errors are failures
+ * (see isTransientError) and call recordSuccess(), recordFailure() or release().
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name used in log messages
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default 5)
+   * @param {number} options.resetTimeout - Milliseconds the circuit stays open before a trial request (default 30000)
+   * @param {number} options.halfOpenMaxRequests - Trial requests allowed at once while half-open (default 1)
+   * @param {number} options.failureWindow - Milliseconds of failures reported as recent failures (default 60000)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenMaxRequests = options.halfOpenMaxRequests || 1;
+    this.failureWindow = options.failureWindow || 60000;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.failureTimes = [];
+    this.lastError = null;
+    this.openedAt = null;
+    this.halfOpenRequests = 0;
+  }
+
+  /**
+   * Check whether a request would be let through, without reserving a slot
+   * @returns {boolean} True if the circuit is closed or ready for a trial request
+   */
+  canRequest() {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.OPEN) {
+      return Date.now() - this.openedAt >= this.resetTimeout;
+    }
+
+    return this.halfOpenRequests < this.halfOpenMaxRequests;
+  }
+
+  /**
+   * Reserve a request, moving an open circuit to half-open once the reset timeout has passed
+   * Every successful call must be followed by recordSuccess(), recordFailure() or release().
+   * @returns {boolean} True if the request may be sent
+   */
+  tryAcquire() {
+    if (!this.canRequest()) {
+      return false;
+    }
+
+    if (this.state === STATES.OPEN) {
+      this.state = STATES.HALF_OPEN;
+      this.halfOpenRequests = 0;
+      console.log(`🔌 Circuit for ${this.name} is half-open, sending a trial request`);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.halfOpenRequests++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful request, closing the circuit if it was half-open
+   */
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.state = STATES.CLOSED;
+      this.openedAt = null;
+      this.halfOpenRequests = 0;
+      console.log(`✅ Circuit for ${this.name} closed`);
+    }
+  }
+
+  /**
+   * Record a failed request, opening the circuit when the threshold is reached
+   * @param {Error} error - Error that caused the failure
+   */
+  recordFailure(error) {
+    const now = Date.now();
+
+    this.consecutiveFailures++;
+    this.failureTimes = this.failureTimes.filter(time => now - time < this.failureWindow);
+    this.failureTimes.push(now);
+    this.lastError = error?.message || null;
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Give back a reserved request whose outcome says nothing about the provider's health
+   * (e.g. a request rejected with 400)
+   */
+  release() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.halfOpenRequests = Math.max(0, this.halfOpenRequests - 1);
+    }
+  }
+
+  /**
+   * Open the circuit
+   */
+  open() {
+    if (this.state !== STATES.OPEN) {
+      console.warn(`🔌 Circuit for ${this.name} opened after ${this.consecutiveFailures} consecutive failure(s), rejecting requests for ${this.resetTimeout}ms`);
+    }
+
+    this.state = STATES.OPEN;
+    this.openedAt = Date.now();
+    this.halfOpenRequests = 0;
+  }
+
+  /**
+   * @returns {number} Milliseconds until an open circuit lets a trial request through (0 if it already would)
+   */
+  getRetryAfterMs() {
+    if (this.state !== STATES.OPEN) {
+      return 0;
+    }
+
+    return Math.max(0, this.openedAt + this.resetTimeout - Date.now());
+  }
+
+  /**
+   * @returns {Object} Breaker state and recent failure counts
+   */
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      recent_failures: this.failureTimes.filter(time => now - time < this.failureWindow).length,
+      failure_window_ms: this.failureWindow,
+      failure_threshold: this.failureThreshold,
+      reset_timeout_ms: this.resetTimeout,
+      last_error: this.lastError,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_after_ms: this.getRetryAfterMs()
+    };
+  }
+}
+
+/**
+ * Create the error raised when every provider's circuit is open
+ * @param {Array<CircuitBreaker>} breakers - Breakers that rejected the request
+ * @returns {Error} Error with status 503, code 'ECIRCUITOPEN' and `retryAfterMs`
+ */
+function createCircuitOpenError(breakers) {
+  const retryAfterMs = Math.min(...breakers.map(breaker => breaker.getRetryAfterMs()));
+  const names = breakers.map(breaker => breaker.name).join(', ');
+  const error = new Error(`LLM service temporarily unavailable: circuit open for ${names}`);
+
+  error.status = 503;
+  error.code = 'ECIRCUITOPEN';
+  error.retryAfterMs = retryAfterMs;
+
+  return error;
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+  createCircuitOpenError
+};
@@ -0,0 +1,188 @@
+/**
+ * Concurrency Limiter
+ *
+ * Caps the number of requests a single provider works on at once and queues
+ * the rest, so a backend that can only run a few generations in parallel
+ * (e.g. Ollama with OLLAMA_NUM_PARALLEL=2) is not flooded:
+ *
+ * - up to `maxConcurrent` requests hold a slot and are sent to the provider.
+ * - further requests wait in a queue of at most `maxQueue` entries. Higher
+ *   priority requests are served first, requests of equal priority in arrival
+ *   order.
+ * - when the queue is full, requests are rejected immediately with a 503 error
+ *   (code 'EQUEUEFULL') carrying an estimated `retryAfterMs`.
+ *
+ * A queued request whose signal aborts (client disconnect, generation timeout)
+ * leaves the queue. Every successful acquire() must be followed by release().
+ */
+
+const PRIORITIES = {
+  high: 2,
+  normal: 1,
+  low: 0
+};
+
+// Used for Retry-After before any request has completed
+const DEFAULT_SERVICE_TIME_MS = 1000;
+
+class ConcurrencyLimiter {
+  /**
+   * @param {string} name - Provider name used in log messages
+   * @param {Object} options - Limiter options
+   * @param {number} options.maxConcurrent - Requests sent to the provider at once (default unlimited)
+   * @param {number} options.maxQueue - Requests allowed to wait for a slot (default unlimited)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+    this.maxQueue = options.maxQueue ?? Infinity;
+
+    this.active = 0;
+    this.queue = [];
+    this.acquiredAt = [];
+    this.averageServiceMs = null;
+    this.served = 0;
+    this.rejected = 0;
+    this.totalWaitMs = 0;
+  }
+
+  /**
+   * Check whether a new request would be rejected, without queueing it
+   * @returns {boolean} True if every slot is taken and the queue is full
+   */
+  isFull() {
+    return this.active >= this.maxConcurrent && this.queue.length >= this.maxQueue;
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {Object} options - Request options
+   * @param {string} options.priority - 'high', 'normal' or 'low' (default 'normal')
+   * @param {AbortSignal} options.signal - Removes the request from the queue when aborted (optional)
+   * @returns {Promise<Object>} { provider, position, wait_ms } where position is the place the
+   *   request was given in the queue (1 = next in line, 0 if a slot was free)
+   * @throws {Error} 'EQUEUEFULL' error if the queue is full, or the signal's reason if it aborts
+   */
+  acquire({ priority = 'normal', signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.active < this.maxConcurrent && this.queue.length === 0) {
+      this.take();
+      return Promise.resolve({ provider: this.name, position: 0, wait_ms: 0 });
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.rejected++;
+      return Promise.reject(createQueueFullError(this));
+    }
+
+    const level = PRIORITIES[priority] ?? PRIORITIES.normal;
+    const enqueuedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const waiter = { level, signal };
+
+      // Insert behind every request of the same or higher priority
+      const index = this.queue.findIndex(queued => queued.level < level);
+      const position = index === -1 ? this.queue.length : index;
+      this.queue.splice(position, 0, waiter);
+
+      const onAbort = () => {
+        this.queue = this.queue.filter(queued => queued !== waiter);
+        reject(signal.reason);
+      };
+
+      waiter.start = () => {
+        signal?.removeEventListener('abort', onAbort);
+        const waitMs = Date.now() - enqueuedAt;
+        this.totalWaitMs += waitMs;
+        this.take();
+        resolve({ provider: this.name, position: position + 1, wait_ms: waitMs });
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      console.log(`⏳ Request queued for ${this.name} at position ${position + 1} (${this.active} active)`);
+    });
+  }
+
+  /**
+   * Occupy a slot
+   */
+  take() {
+    this.active++;
+    this.served++;
+    this.acquiredAt.push(Date.now());
+  }
+
+  /**
+   * Free a slot and hand it to the next queued request
+   */
+  release() {
+    if (this.active === 0) {
+      return;
+    }
+
+    this.active--;
+
+    // Slots are not matched to requests, but pairing releases with the oldest
+    // acquire keeps the total hold time exact, which is all the average needs
+    const serviceMs = Date.now() - this.acquiredAt.shift();
+    this.averageServiceMs = this.averageServiceMs === null
+      ? serviceMs
+      : Math.round(this.averageServiceMs * 0.8 + serviceMs * 0.2);
+
+    if (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      this.queue.shift().start();
+    }
+  }
+
+  /**
+   * Estimate how long until a new request would find room in the queue
+   * @returns {number} Milliseconds (at least one average service time)
+   */
+  getRetryAfterMs() {
+    const serviceMs = this.averageServiceMs || DEFAULT_SERVICE_TIME_MS;
+    const slots = Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : 1;
+
+    return Math.max(serviceMs, Math.ceil((this.queue.length / slots) * serviceMs));
+  }
+
+  /**
+   * @returns {Object} Slot usage, queue length and counters
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      max_concurrent: Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : null,
+      max_queue: Number.isFinite(this.maxQueue) ? this.maxQueue : null,
+      served: this.served,
+      rejected: this.rejected,
+      average_wait_ms: this.served > 0 ? Math.round(this.totalWaitMs / this.served) : 0,
+      average_service_ms: this.averageServiceMs
+    };
+  }
+}
+
+/**
+ * Create the error raised when a provider's queue is full
+ * @param {ConcurrencyLimiter} limiter - Limiter that rejected the request
+ * @returns {Error} Error with status 503, code 'EQUEUEFULL' and `retryAfterMs`
+ */
+function createQueueFullError(limiter) {
+  const error = new Error(`LLM service busy: request queue for ${limiter.name} is full (${limiter.queue.length} waiting)`);
+
+  error.status = 503;
+  error.code = 'EQUEUEFULL';
+  error.retryAfterMs = limiter.getRetryAfterMs();
+
+  return error;
+}
+
+module.exports = {
+  ConcurrencyLimiter,
+  PRIORITIES,
+  createQueueFullError
+};
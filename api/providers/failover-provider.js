@@ -0,0 +1,500 @@
+const BaseLLMProvider = require('./base-provider');
+const { isTransientError } = require('./provider-errors');
+const { CircuitBreaker, createCircuitOpenError } = require('./circuit-breaker');
+const { ConcurrencyLimiter, createQueueFullError } = require('./concurrency-limiter');
+const { linkAbortSignal } = require('./abort-utils');
+
+/**
+ * Create the error an attempt is aborted with when the generation timeout expires
+ * @param {number} timeout - Generation timeout in milliseconds
+ * @returns {Error} Error with code 'ECANCELLED' and `reason` 'timeout'
+ */
+function createGenerationTimeoutError(timeout) {
+  return Object.assign(new Error(`Generation timed out after ${timeout}ms`), { code: 'ECANCELLED', reason: 'timeout' });
+}
+
+/**
+ * Failover Provider
+ *
+ * Wraps the primary provider and the providers listed in `fallback_providers`.
+ * When a request fails with a temporary error (connection refused, timeout,
+ * 429 or 5xx) the provider is marked unhealthy and the same request is sent to
+ * the next healthy provider in the list. Unhealthy providers are re-probed
+ * with healthCheck() every `probeInterval` milliseconds, and requests fail
+ * back to the primary as soon as it answers again.
+ *
+ * Each provider also has a circuit breaker. While a provider's circuit is open
+ * it is skipped without sending a request, and when every circuit is open
+ * requests fail immediately with a 503 error (code 'ECIRCUITOPEN') instead of
+ * waiting for the provider's timeout.
+ *
+ * Each provider also has a concurrency limiter. A request waits in the
+ * provider's queue (ordered by `options.priority`) until a slot is free; a
+ * provider whose queue is full is skipped like an open circuit, and when it is
+ * the last candidate the request fails with a 503 error (code 'EQUEUEFULL').
+ *
+ * `options.timeout` is the generation timeout. It is counted from the moment a
+ * provider takes the request, so only the provider's own time is held against
+ * it; an attempt that runs out of time is aborted with an 'ECANCELLED' error
+ * whose `reason` is 'timeout'.
+ *
+ * `options.generation` resolves the generation parameters for a provider: it
+ * is called with the configuration of each provider a request is sent to and
+ * returns { options, effective } (see resolveGenerationParams), so a fallback
+ * provider gets its own provider-level settings rather than the primary's.
+ * `effective` is reported as `metadata.generation`.
+ *
+ * Every response carries `metadata.failover` with the name of the provider
+ * that answered and the attempts that failed before it, and `metadata.queue`
+ * with its place in that provider's queue and the time spent waiting.
+ * `config` and `model` mirror the provider that answered most recently.
+ */
+class FailoverProvider extends BaseLLMProvider {
+  /**
+   * @param {Array<Object>} entries - Providers in priority order as { name, provider, breaker, limiter }.
+   *   `breaker` and `limiter` are optional; pass them to share a provider's circuit and
+   *   request queue between chains (default: a private breaker and no concurrency limit).
+   * @param {Object} options - Failover options
+   * @param {number} options.probeInterval - Milliseconds between health probes of failed providers (default 30000)
+   * @param {Object} options.circuitBreaker - CircuitBreaker options shared by every provider
+   */
+  constructor(entries, options = {}) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('Failover provider requires at least one provider');
+    }
+
+    super(entries[0].provider.config);
+
+    this.entries = entries.map(({ name, provider, breaker, limiter }) => ({
+      name,
+      provider,
+      healthy: true,
+      lastError: null,
+      failedAt: null,
+      breaker: breaker || new CircuitBreaker(name, options.circuitBreaker),
+      limiter: limiter || new ConcurrencyLimiter(name)
+    }));
+    this.probeInterval = options.probeInterval || 30000;
+    this.probeTimer = null;
+    this.setActive(this.entries[0]);
+  }
+
+  /**
+   * Remember the provider that answered most recently
+   * @param {Object} entry - Provider entry
+   */
+  setActive(entry) {
+    this.active = entry;
+    this.config = entry.provider.config;
+    this.model = entry.provider.model;
+  }
+
+  /**
+   * Providers to try for the next request
+   * Providers whose circuit lets requests through, healthy ones only unless none is healthy
+   * @returns {Array<Object>} Provider entries in priority order
+   * @throws {Error} 'ECIRCUITOPEN' error if every circuit is open
+   */
+  getCandidates() {
+    const available = this.entries.filter(entry => entry.breaker.canRequest());
+    if (available.length === 0) {
+      throw createCircuitOpenError(this.entries.map(entry => entry.breaker));
+    }
+
+    const healthy = available.filter(entry => entry.healthy);
+    return healthy.length > 0 ? healthy : available;
+  }
+
+  /**
+   * Record the outcome of a failed request on the provider's circuit breaker
+   * Temporary errors and generation timeouts count as failures - a hung
+   * provider usually ends as a generation timeout. Other errors mean the
+   * provider answered, and a request the client cancelled says nothing about
+   * the provider.
+   * @param {Object} entry - Provider entry
+   * @param {Error} error - Error raised by the provider
+   * @param {Object} attempt - The attempt (see startAttempt)
+   */
+  recordError(entry, error, attempt) {
+    if (attempt.timedOut()) {
+      entry.breaker.recordFailure(attempt.signal.reason);
+    } else if (isTransientError(error) && !attempt.signal.aborted) {
+      entry.breaker.recordFailure(error);
+    } else {
+      entry.breaker.release();
+    }
+  }
+
+  /**
+   * Handle a failed attempt: record it and decide whether to try the next provider
+   * A cancelled request is never failed over, since its signal would cancel the
+   * next attempt too. A provider that ran into the generation timeout is still
+   * marked unhealthy, so later requests go to the next provider.
+   * @param {Object} entry - Provider entry
+   * @param {Error} error - Error raised by the provider
+   * @param {Object} attempt - The attempt (see startAttempt)
+   * @param {boolean} isLast - Whether no other candidate remains
+   * @param {Array<Object>} attempts - Failed attempts; this one is added when failing over
+   * @throws {Error} The provider's error, or the timeout error, if the request is not failed over
+   */
+  handleFailure(entry, error, attempt, isLast, attempts) {
+    this.recordError(entry, error, attempt);
+
+    if (attempt.timedOut()) {
+      this.markUnhealthy(entry, attempt.signal.reason);
+      throw attempt.signal.reason;
+    }
+
+    if (!isTransientError(error) || attempt.signal.aborted || isLast) {
+      throw error;
+    }
+
+    this.markUnhealthy(entry, error);
+    attempts.push({ provider: entry.name, error: error.message });
+  }
+
+  /**
+   * Reserve a provider for a request: a slot in its queue, then its circuit
+   * A provider whose queue is full or whose circuit opened while the request
+   * waited is skipped, unless it is the last candidate.
+   * @param {Object} entry - Provider entry
+   * @param {boolean} isLast - Whether no other candidate remains
+   * @param {Array<Object>} attempts - Failed attempts; a skipped provider is added
+   * @param {Object} options - Generation options (priority, signal)
+   * @returns {Promise<Object|null>} Queue metadata, or null if the provider was skipped
+   * @throws {Error} 'EQUEUEFULL' or 'ECIRCUITOPEN' error for the last candidate, or the
+   *   signal's reason if the request is cancelled while queued
+   */
+  async reserve(entry, isLast, attempts, options) {
+    if (entry.limiter.isFull()) {
+      if (isLast) {
+        throw createQueueFullError(entry.limiter);
+      }
+      attempts.push({ provider: entry.name, error: 'Queue full' });
+      return null;
+    }
+
+    const queue = await entry.limiter.acquire({ priority: options.priority, signal: options.signal });
+
+    if (!entry.breaker.tryAcquire()) {
+      entry.limiter.release();
+      if (isLast) {
+        throw createCircuitOpenError([entry.breaker]);
+      }
+      attempts.push({ provider: entry.name, error: 'Circuit open' });
+      return null;
+    }
+
+    return queue;
+  }
+
+  /**
+   * Start an attempt on a reserved provider
+   * The attempt has its own signal, linked to the request's, that also fires
+   * when `options.timeout` milliseconds have passed since the attempt started.
+   * @param {Object} entry - Provider entry
+   * @param {Object} options - Generation options (signal, timeout, generation)
+   * @returns {Object} { options, generation, signal, timedOut, finish } - options to pass to the provider,
+   *   the effective generation parameters (if resolved), timedOut() tells whether the timeout fired;
+   *   call finish() once the attempt is over
+   */
+  startAttempt(entry, options) {
+    const { timeout, generation, ...providerOptions } = options;
+    const resolved = generation ? generation(entry.provider.config) : null;
+    const controller = new AbortController();
+    let expired = false;
+    const timer = timeout
+      ? setTimeout(() => {
+        expired = true;
+        controller.abort(createGenerationTimeoutError(timeout));
+      }, timeout)
+      : null;
+    linkAbortSignal(options.signal, controller);
+
+    return {
+      options: { ...providerOptions, ...resolved?.options, signal: controller.signal },
+      generation: resolved?.effective,
+      signal: controller.signal,
+      timedOut: () => expired,
+      finish: () => clearTimeout(timer)
+    };
+  }
+
+  /**
+   * Mark a provider unhealthy and start probing it
+   * @param {Object} entry - Provider entry
+   * @param {Error} error - Error that caused the failover
+   */
+  markUnhealthy(entry, error) {
+    entry.healthy = false;
+    entry.lastError = error.message;
+    entry.failedAt = new Date().toISOString();
+    this.scheduleProbe();
+  }
+
+  /**
+   * Build the failover metadata for a response
+   * @param {Object} entry - Provider entry that answered
+   * @param {Array<Object>} attempts - Failed attempts as { provider, error }
+   * @returns {Object} Failover metadata
+   */
+  buildFailoverMetadata(entry, attempts) {
+    return {
+      served_by: entry.name,
+      failed_over: attempts.length > 0,
+      attempts
+    };
+  }
+
+  /**
+   * Run a request against each candidate until one succeeds
+   * A cancelled request (see `options.signal`) is not failed over (see handleFailure).
+   * @param {Function} request - Called with a provider and the attempt's options, returns a promise of a response
+   * @param {Object} options - Generation options (priority, signal, timeout, generation)
+   * @returns {Promise<Object>} Response with failover, queue and generation metadata
+   */
+  async runWithFailover(request, options = {}) {
+    const candidates = this.getCandidates();
+    const attempts = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      const entry = candidates[i];
+      const queue = await this.reserve(entry, i === candidates.length - 1, attempts, options);
+
+      if (!queue) {
+        continue;
+      }
+
+      const attempt = this.startAttempt(entry, options);
+      try {
+        const response = await request(entry.provider, attempt.options);
+        entry.breaker.recordSuccess();
+        this.setActive(entry);
+
+        return {
+          ...response,
+          metadata: {
+            ...response.metadata,
+            failover: this.buildFailoverMetadata(entry, attempts),
+            queue,
+            ...(attempt.generation && { generation: attempt.generation })
+          }
+        };
+      } catch (error) {
+        this.handleFailure(entry, error, attempt, i === candidates.length - 1, attempts);
+        console.warn(`⚠️ Provider ${entry.name} failed (${error.message}), failing over to ${candidates[i + 1].name}`);
+      } finally {
+        attempt.finish();
+        entry.limiter.release();
+      }
+    }
+  }
+
+  /**
+   * Generate a chat response, failing over on temporary errors
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Response object
+   */
+  async generateChat(messages, options = {}) {
+    return this.runWithFailover((provider, attemptOptions) => provider.generateChat(messages, attemptOptions), options);
+  }
+
+  /**
+   * Generate a response to a single prompt, failing over on temporary errors
+   * @param {string} prompt - The complete prompt
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Response object
+   */
+  async generateResponse(prompt, options = {}) {
+    return this.runWithFailover((provider, attemptOptions) => provider.generateResponse(prompt, attemptOptions), options);
+  }
+
+  /**
+   * Stream a chat response, failing over on temporary errors
+   * A provider can only be replaced before it has produced any output; errors
+   * after the first chunk are passed to the caller.
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
+   */
+  async *streamChat(messages, options = {}) {
+    const candidates = this.getCandidates();
+    const attempts = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      const entry = candidates[i];
+      const queue = await this.reserve(entry, i === candidates.length - 1, attempts, options);
+
+      if (!queue) {
+        continue;
+      }
+
+      const attempt = this.startAttempt(entry, options);
+      const stream = entry.provider.streamChat(messages, attempt.options);
+      let first;
+
+      try {
+        first = await stream.next();
+        entry.breaker.recordSuccess();
+      } catch (error) {
+        attempt.finish();
+        entry.limiter.release();
+        this.handleFailure(entry, error, attempt, i === candidates.length - 1, attempts);
+        console.warn(`⚠️ Provider ${entry.name} failed (${error.message}), failing over to ${candidates[i + 1].name}`);
+        continue;
+      }
+
+      this.setActive(entry);
+
+      try {
+        for (let next = first; !next.done; next = await stream.next()) {
+          const chunk = next.value;
+
+          if (chunk.type === 'done') {
+            yield {
+              ...chunk,
+              metadata: {
+                ...chunk.metadata,
+                failover: this.buildFailoverMetadata(entry, attempts),
+                queue,
+                ...(attempt.generation && { generation: attempt.generation })
+              }
+            };
+          } else {
+            yield chunk;
+          }
+        }
+      } catch (error) {
+        throw attempt.timedOut() ? attempt.signal.reason : error;
+      } finally {
+        // Propagate early termination so the upstream request is cancelled
+        await stream.return();
+        attempt.finish();
+        entry.limiter.release();
+      }
+      return;
+    }
+  }
+
+  /**
+   * Start the health probe timer if it is not already running
+   */
+  scheduleProbe() {
+    if (this.probeTimer) {
+      return;
+    }
+
+    this.probeTimer = setTimeout(() => this.probeUnhealthy(), this.probeInterval);
+
+    // Don't keep the process alive just for probing
+    this.probeTimer.unref();
+  }
+
+  /**
+   * Health-check every unhealthy provider and restore those that recovered
+   * @returns {Promise<Array<string>>} Names of the providers that recovered
+   */
+  async probeUnhealthy() {
+    const recovered = [];
+
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+
+    for (const entry of this.entries.filter(candidate => !candidate.healthy)) {
+      let healthy = false;
+      try {
+        healthy = await entry.provider.healthCheck();
+      } catch (error) {
+        healthy = false;
+      }
+
+      if (healthy) {
+        entry.healthy = true;
+        entry.lastError = null;
+        entry.failedAt = null;
+        recovered.push(entry.name);
+        console.log(`✅ Provider ${entry.name} is healthy again${entry === this.entries[0] ? ', failing back' : ''}`);
+      }
+    }
+
+    if (this.entries.some(entry => !entry.healthy)) {
+      this.scheduleProbe();
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Stop probing (call before discarding the provider)
+   */
+  close() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+  }
+
+  /**
+   * Check whether any provider in the chain is healthy
+   * @returns {Promise<boolean>} True if a provider answered the health check
+   */
+  async healthCheck() {
+    const healthy = this.entries.filter(entry => entry.healthy);
+
+    for (const entry of healthy.length > 0 ? healthy : this.entries) {
+      if (await entry.provider.healthCheck()) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * @returns {string} Display name of the provider that answered most recently
+   */
+  getProviderName() {
+    return this.active.provider.getProviderName();
+  }
+
+  /**
+   * Health of each provider in the chain
+   * @returns {Array<Object>} { name, provider, healthy, last_error, failed_at, circuit, queue } in priority order
+   */
+  getFailoverStatus() {
+    return this.entries.map(entry => ({
+      name: entry.name,
+      provider: entry.provider.getProviderName(),
+      healthy: entry.healthy,
+      last_error: entry.lastError,
+      failed_at: entry.failedAt,
+      circuit: entry.breaker.getStatus(),
+      queue: entry.limiter.getStatus()
+    }));
+  }
+
+  /**
+   * Circuit breaker status of each provider in the chain
+   * @returns {Object} Breaker status keyed by provider name
+   */
+  getCircuitStatus() {
+    return this.entries.reduce((acc, entry) => {
+      acc[entry.name] = entry.breaker.getStatus();
+      return acc;
+    }, {});
+  }
+
+  /**
+   * @returns {Object} Configuration summary of the active provider plus the failover chain
+   */
+  getConfigSummary() {
+    return {
+      ...this.active.provider.getConfigSummary(),
+      failover: {
+        active: this.active.name,
+        providers: this.getFailoverStatus()
+      }
+    };
+  }
+}
+
+module.exports = FailoverProvider;
@@ -0,0 +1,289 @@
+const BaseLLMProvider = require('./base-provider');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createProviderError } = require('./provider-errors');
+const { sleep } = require('./abort-utils');
+
+/**
+ * Mock Provider Implementation
+ *
+ * Answers from a fixtures file instead of a model, so the server can be run,
+ * demoed and tested end to end without Ollama or API keys. Responses are
+ * deterministic: the first fixture whose `persona` and `match` (a
+ * case-insensitive regex tested against the user's question) fit the request
+ * is used, otherwise `default_response`. Fixtures can add latency, fail with
+ * an HTTP-style error, or return injection-style text to exercise response
+ * validation. Usage numbers are estimated from text length. Embeddings are
+ * hashed word counts, so texts sharing words are similar without a model.
+ *
+ * The persona is passed by the caller as `options.persona`.
+ */
+class MockProvider extends BaseLLMProvider {
+  constructor(config) {
+    super(config);
+
+    this.model = config.model || 'mock-1';
+    this.latency = config.latency || 0;
+    this.tokenDelay = config.tokenDelay || 0;
+    this.fixturesPath = path.resolve(__dirname, '..', config.fixtures || 'fixtures/mock-responses.yaml');
+    this.fixtures = MockProvider.loadFixtures(this.fixturesPath);
+
+    console.log(`🔧 Mock provider initialized with ${this.fixtures.responses.length} fixtures from ${this.fixturesPath}`);
+  }
+
+  /**
+   * Load and validate a fixtures file
+   * @param {string} filename - Path to the YAML fixtures file
+   * @returns {Object} { responses, defaultResponse } with compiled match patterns
+   * @throws {Error} If the file cannot be read or a fixture is malformed
+   */
+  static loadFixtures(filename) {
+    const data = yaml.load(fs.readFileSync(filename, 'utf8')) || {};
+    const responses = data.responses || [];
+
+    if (!Array.isArray(responses)) {
+      throw new Error(`Mock fixtures ${filename}: responses must be a list`);
+    }
+
+    return {
+      defaultResponse: data.default_response || 'Mock response from {persona}: {question}',
+      responses: responses.map((fixture, index) => {
+        if (typeof fixture?.response !== 'string' && !fixture?.error) {
+          throw new Error(`Mock fixture ${index} must have a response or an error`);
+        }
+
+        let pattern = null;
+        if (fixture.match !== undefined) {
+          try {
+            pattern = new RegExp(fixture.match, 'i');
+          } catch (error) {
+            throw new Error(`Mock fixture ${index} has an invalid match pattern: ${error.message}`);
+          }
+        }
+
+        return { ...fixture, index, pattern };
+      })
+    };
+  }
+
+  /**
+   * Generate a chat response from the fixtures
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options (persona selects persona-specific fixtures)
+   * @returns {Promise<Object>} Response object
+   */
+  async generateChat(messages, options = {}) {
+    const validatedMessages = this.validateMessages(messages);
+    const validatedOptions = this.validateOptions(options);
+
+    console.log(`🤖 Generating mock chat response with model: ${this.model}`);
+
+    const { result, retries } = await this.withRetry(
+      () => this.respond(validatedMessages, validatedOptions),
+      { signal: validatedOptions.signal }
+    );
+
+    return this.buildResult(result.text, validatedMessages, result.fixture, validatedOptions.persona, retries);
+  }
+
+  /**
+   * Stream a chat response from the fixtures one word at a time
+   * Errors and latency happen before the first token, like a real provider.
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options (persona selects persona-specific fixtures)
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
+   */
+  async *streamChat(messages, options = {}) {
+    const validatedMessages = this.validateMessages(messages);
+    const validatedOptions = this.validateOptions(options);
+
+    console.log(`🤖 Streaming mock chat response with model: ${this.model}`);
+
+    const { result, retries } = await this.withRetry(
+      () => this.respond(validatedMessages, validatedOptions),
+      { signal: validatedOptions.signal }
+    );
+
+    for (const token of result.text.split(/(?<=\s)/)) {
+      if (this.tokenDelay > 0) {
+        await sleep(this.tokenDelay, validatedOptions.signal);
+      }
+      validatedOptions.signal?.throwIfAborted();
+      yield { type: 'token', text: token };
+    }
+
+    yield { type: 'done', ...this.buildResult(result.text, validatedMessages, result.fixture, validatedOptions.persona, retries) };
+  }
+
+  /**
+   * Find the fixture for a request, wait for its latency and produce its text
+   * @param {Array<Object>} messages - Validated chat messages
+   * @param {Object} options - Validated generation options
+   * @returns {Promise<Object>} { text, fixture } where fixture is the fixture index or 'default'
+   * @throws {Error} The fixture's simulated error
+   */
+  async respond(messages, options) {
+    const question = extractQuestion(messages);
+    const persona = options.persona || 'unknown';
+    const fixture = this.findFixture(persona, question);
+    const latency = fixture?.latency ?? this.latency;
+
+    if (latency > 0) {
+      await sleep(latency, options.signal);
+    }
+
+    if (fixture?.error) {
+      throw createMockError(fixture.error);
+    }
+
+    const template = fixture ? fixture.response : this.fixtures.defaultResponse;
+
+    return {
+      // Function replacers keep `$&` and `{persona}` in the question from being expanded
+      text: template.replace(/\{(question|persona)\}/g, (match, name) => (name === 'question' ? question : persona)),
+      fixture: fixture ? fixture.index : 'default'
+    };
+  }
+
+  /**
+   * @param {string} persona - Persona name
+   * @param {string} question - The user's question
+   * @returns {Object|undefined} First matching fixture
+   */
+  findFixture(persona, question) {
+    return this.fixtures.responses.find(fixture =>
+      (!fixture.persona || fixture.persona === persona) &&
+      (!fixture.pattern || fixture.pattern.test(question))
+    );
+  }
+
+  /**
+   * Build the response object with estimated usage
+   * @param {string} text - Generated text
+   * @param {Array<Object>} messages - Validated chat messages
+   * @param {number|string} fixture - Index of the fixture used, or 'default'
+   * @param {string} persona - Persona name
+   * @param {number} retries - Number of retried attempts
+   * @returns {Object} Response object
+   */
+  buildResult(text, messages, fixture, persona, retries = 0) {
+    const promptTokens = messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const completionTokens = estimateTokens(text);
+
+    return {
+      text: text.trim(),
+      provider: 'mock',
+      model: this.model,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      metadata: {
+        fixture: fixture,
+        persona: persona,
+        retries: retries
+      }
+    };
+  }
+
+  /**
+   * Embed texts as normalized counts of hashed words
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Optional parameters (model, signal)
+   * @returns {Promise<Object>} { embeddings, provider, model }
+   */
+  async embed(texts, options = {}) {
+    options.signal?.throwIfAborted();
+
+    return {
+      embeddings: this.validateTexts(texts).map(embedWords),
+      provider: 'mock',
+      model: options.model || 'mock-embed'
+    };
+  }
+
+  /**
+   * Mock health mirrors the `healthy` config flag (default true)
+   * @returns {Promise<boolean>} True if healthy
+   */
+  async healthCheck() {
+    return this.config.healthy !== false;
+  }
+
+  /**
+   * Get provider display name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return `Mock (${this.model})`;
+  }
+
+  /**
+   * The mock serves a single model
+   * @returns {Promise<Array>} List of available models
+   */
+  async getAvailableModels() {
+    return [{ id: this.model, owned_by: 'mock' }];
+  }
+}
+
+/**
+ * Rough token estimate (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Embed a text as a unit vector of word counts hashed into 64 dimensions
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Embedding vector
+ */
+function embedWords(text) {
+  const vector = new Array(64).fill(0);
+
+  for (const word of text.toLowerCase().match(/[a-z0-9']+/g) || []) {
+    let hash = 0;
+    for (const char of word) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    vector[hash % vector.length]++;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * The text of the last user message, without the security boundary the
+ * server wraps around it
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {string} The user's question
+ */
+function extractQuestion(messages) {
+  const content = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+  const wrapped = content.match(/<user_question>\s*([\s\S]*?)\s*<\/user_question>/);
+
+  return wrapped ? wrapped[1] : content.trim();
+}
+
+/**
+ * Create the error described by a fixture's `error` block
+ * @param {Object} spec - { status, code, message }
+ * @returns {Error} Provider error classified like a real HTTP or network failure
+ */
+function createMockError(spec) {
+  const message = spec.message || 'Simulated failure';
+  const description = spec.status ? `${spec.status} - ${message}` : message;
+
+  return createProviderError(`Mock provider error: ${description}`, null, {
+    status: spec.status,
+    code: spec.code
+  });
+}
+
+module.exports = MockProvider;
@@ -1,5 +1,8 @@
 const BaseLLMProvider = require('./base-provider');
 const axios = require('axios');
+const { parseNDJSON, readStreamErrorBody } = require('./stream-utils');
+const { createProviderError } = require('./provider-errors');
+const { linkAbortSignal } = require('./abort-utils');
 
 /**
  * Ollama Provider Implementation
@@ -16,16 +19,18 @@ class OllamaProvider extends BaseLLMProvider {
       throw new Error('Ollama URL is required in configuration');
     }
     
-    // Use environment variable overrides if available
-    this.url = process.env.OLLAMA_URL || config.url;
-    this.model = process.env.OLLAMA_MODEL || config.model || 'phi3:mini';
+    // OLLAMA_URL and OLLAMA_MODEL are applied to the `ollama` provider by
+    // LLMConfigManager; other Ollama providers keep their own url and model
+    this.url = config.url;
+    this.model = config.model || 'phi3:mini';
+    this.embeddingModel = config.embeddingModel || 'nomic-embed-text';
     this.timeout = config.timeout || 120000;
     
     console.log(`🔧 Ollama provider initialized with URL: ${this.url}, model: ${this.model}`);
   }
 
   /**
-   * Generate response from Ollama
+   * Generate response from Ollama's completion endpoint
    * @param {string} prompt - The complete prompt
    * @param {Object} options - Generation options
    * @returns {Promise<Object>} Response object
@@ -36,56 +41,294 @@ class OllamaProvider extends BaseLLMProvider {
       
       console.log(`🤖 Generating response with Ollama model: ${this.model}`);
       
-      const response = await axios.post(`${this.url}/api/generate`, {
-        model: this.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: validatedOptions.temperature,
-          top_p: validatedOptions.topP,
-          num_predict: validatedOptions.maxTokens,
-          stop: validatedOptions.stop || []
-        }
-      }, {
+      const { result: response, retries } = await this.withRetry(() => axios.post(`${this.url}/api/generate`,
+        this.buildGenerateRequest(prompt, validatedOptions, false), {
         timeout: this.timeout,
+        signal: validatedOptions.signal,
         headers: {
           'Content-Type': 'application/json'
         }
-      });
+      }), { signal: validatedOptions.signal });
 
       if (!response.data || !response.data.response) {
         throw new Error('Invalid response format from Ollama');
       }
 
-      return {
-        text: response.data.response.trim(),
-        provider: 'ollama',
-        model: this.model,
-        usage: {
-          eval_count: response.data.eval_count || 0,
-          eval_duration: response.data.eval_duration || 0,
-          total_duration: response.data.total_duration || 0
-        },
-        metadata: {
-          context: response.data.context || [],
-          done: response.data.done || false
+      return this.buildResult(response.data.response, response.data, retries);
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Generate chat response from Ollama's /api/chat endpoint
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Response object
+   */
+  async generateChat(messages, options = {}) {
+    try {
+      const validatedMessages = this.validateMessages(messages);
+      const validatedOptions = this.validateOptions(options);
+
+      console.log(`🤖 Generating chat response with Ollama model: ${this.model}`);
+
+      const { result: response, retries } = await this.withRetry(() => axios.post(`${this.url}/api/chat`,
+        this.buildChatRequest(validatedMessages, validatedOptions, false), {
+        timeout: this.timeout,
+        signal: validatedOptions.signal,
+        headers: {
+          'Content-Type': 'application/json'
         }
-      };
+      }), { signal: validatedOptions.signal });
+
+      if (!response.data?.message || typeof response.data.message.content !== 'string') {
+        throw new Error('Invalid response format from Ollama');
+      }
+
+      return this.buildResult(response.data.message.content, response.data, retries);
     } catch (error) {
-      console.error('Ollama API error:', error.message);
-      
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Unable to connect to Ollama service. Please ensure it is running.');
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Stream response from Ollama's completion endpoint (newline-delimited JSON)
+   * @param {string} prompt - The complete prompt
+   * @param {Object} options - Generation options
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
+   */
+  async *streamResponse(prompt, options = {}) {
+    const validatedOptions = this.validateOptions(options);
+
+    console.log(`🤖 Streaming response with Ollama model: ${this.model}`);
+
+    yield* this.streamRequest(
+      '/api/generate',
+      this.buildGenerateRequest(prompt, validatedOptions, true),
+      chunk => chunk.response,
+      validatedOptions.signal
+    );
+  }
+
+  /**
+   * Stream chat response from Ollama's /api/chat endpoint (newline-delimited JSON)
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
+   */
+  async *streamChat(messages, options = {}) {
+    const validatedMessages = this.validateMessages(messages);
+    const validatedOptions = this.validateOptions(options);
+
+    console.log(`🤖 Streaming chat response with Ollama model: ${this.model}`);
+
+    yield* this.streamRequest(
+      '/api/chat',
+      this.buildChatRequest(validatedMessages, validatedOptions, true),
+      chunk => chunk.message?.content,
+      validatedOptions.signal
+    );
+  }
+
+  /**
+   * Post a streaming request and relay the NDJSON chunks
+   * @param {string} endpoint - API path (/api/generate or /api/chat)
+   * @param {Object} body - Request body with stream enabled
+   * @param {Function} getToken - Extracts the text fragment from a chunk
+   * @param {AbortSignal} signal - Cancels the request (optional)
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
+   */
+  async *streamRequest(endpoint, body, getToken, signal) {
+    const controller = new AbortController();
+    let completed = false;
+    let stream;
+    let retries;
+
+    linkAbortSignal(signal, controller);
+
+    try {
+      let response;
+      ({ result: response, retries } = await this.withRetry(async () => {
+        try {
+          return await axios.post(`${this.url}${endpoint}`, body, {
+            timeout: this.timeout,
+            responseType: 'stream',
+            signal: controller.signal,
+            headers: {
+              'Content-Type': 'application/json'
+            }
+          });
+        } catch (error) {
+          if (error.response) {
+            error.response.data = await readStreamErrorBody(error);
+          }
+          throw error;
+        }
+      }, { signal: controller.signal }));
+      stream = response.data;
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    let text = '';
+
+    try {
+      for await (const chunk of parseNDJSON(stream)) {
+        if (chunk.error) {
+          throw new Error(`Ollama API error: ${chunk.error}`);
+        }
+
+        const token = getToken(chunk);
+        if (token) {
+          text += token;
+          yield { type: 'token', text: token };
+        }
+
+        if (chunk.done) {
+          completed = true;
+          yield { type: 'done', ...this.buildResult(text, chunk, retries) };
+          return;
+        }
       }
-      
-      if (error.response) {
-        throw new Error(`Ollama API error: ${error.response.status} - ${error.response.statusText}`);
+
+      throw new Error('Ollama stream ended before completion');
+    } finally {
+      if (!completed) {
+        // Consumer stopped early or the stream failed - stop generation upstream
+        controller.abort();
       }
-      
-      throw new Error(`Ollama service error: ${error.message}`);
     }
   }
 
+  /**
+   * Compute embeddings with Ollama's /api/embeddings endpoint (one request per text)
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Optional parameters (model, signal, maxRetries)
+   * @returns {Promise<Object>} { embeddings, provider, model }
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.embeddingModel;
+
+    try {
+      const embeddings = [];
+
+      for (const text of this.validateTexts(texts)) {
+        const { result: response } = await this.withRetry(() => axios.post(`${this.url}/api/embeddings`, {
+          model: model,
+          prompt: text
+        }, {
+          timeout: this.timeout,
+          signal: options.signal,
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }), { signal: options.signal, maxRetries: options.maxRetries });
+
+        if (!Array.isArray(response.data?.embedding) || response.data.embedding.length === 0) {
+          throw new Error('Invalid embeddings response from Ollama');
+        }
+
+        embeddings.push(response.data.embedding);
+      }
+
+      return { embeddings, provider: 'ollama', model };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Build the response object from a final Ollama payload
+   * @param {string} text - Generated text
+   * @param {Object} data - Final response body / done chunk
+   * @param {number} retries - Number of retried attempts
+   * @returns {Object} Response object
+   */
+  buildResult(text, data, retries = 0) {
+    return {
+      text: text.trim(),
+      provider: 'ollama',
+      model: this.model,
+      usage: {
+        eval_count: data.eval_count || 0,
+        eval_duration: data.eval_duration || 0,
+        total_duration: data.total_duration || 0
+      },
+      metadata: {
+        context: data.context || [],
+        done: data.done || false,
+        done_reason: data.done_reason,
+        retries: retries
+      }
+    };
+  }
+
+  /**
+   * Build the /api/generate request body
+   * @param {string} prompt - The complete prompt
+   * @param {Object} options - Validated generation options
+   * @param {boolean} stream - Whether to request a streamed response
+   * @returns {Object} Request body
+   */
+  buildGenerateRequest(prompt, options, stream) {
+    return {
+      model: this.model,
+      prompt: prompt,
+      stream: stream,
+      options: this.buildModelOptions(options)
+    };
+  }
+
+  /**
+   * Build the /api/chat request body
+   * @param {Array<Object>} messages - Validated chat messages
+   * @param {Object} options - Validated generation options
+   * @param {boolean} stream - Whether to request a streamed response
+   * @returns {Object} Request body
+   */
+  buildChatRequest(messages, options, stream) {
+    return {
+      model: this.model,
+      messages: messages,
+      stream: stream,
+      options: this.buildModelOptions(options)
+    };
+  }
+
+  /**
+   * Map generation options onto Ollama model options
+   * @param {Object} options - Validated generation options
+   * @returns {Object} Ollama options
+   */
+  buildModelOptions(options) {
+    return {
+      temperature: options.temperature,
+      top_p: options.topP,
+      num_predict: options.maxTokens,
+      stop: options.stop || []
+    };
+  }
+
+  /**
+   * Convert an axios/Ollama error into a user-facing error
+   * @param {Error} error - Original error
+   * @returns {Error} Normalized error
+   */
+  normalizeError(error) {
+    console.error('Ollama API error:', error.message);
+
+    if (error.code === 'ECONNREFUSED') {
+      return createProviderError('Unable to connect to Ollama service. Please ensure it is running.', error);
+    }
+
+    if (error.response) {
+      return createProviderError(`Ollama API error: ${error.response.status} - ${error.response.statusText}`, error);
+    }
+
+    return createProviderError(`Ollama service error: ${error.message}`, error);
+  }
+
   /**
    * Check Ollama service health
    * @returns {Promise<boolean>} True if healthy
@@ -149,6 +392,67 @@ class OllamaProvider extends BaseLLMProvider {
       return false;
     }
   }
+
+  /**
+   * Pull a model to Ollama, reporting download progress as it arrives
+   * Stopping iteration early (e.g. `break` in a `for await`) cancels the pull.
+   * @param {string} modelName - Name of the model to pull
+   * @returns {AsyncGenerator<Object>} Progress records ({ status, digest, total, completed });
+   *   the last one has status 'success'
+   * @throws {Error} If Ollama is unreachable or reports an error (e.g. unknown model)
+   */
+  async *streamPull(modelName) {
+    const controller = new AbortController();
+    let completed = false;
+    let stream;
+
+    console.log(`📥 Pulling model: ${modelName}`);
+
+    try {
+      const response = await axios.post(`${this.url}/api/pull`, {
+        name: modelName,
+        stream: true
+      }, {
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: controller.signal
+      });
+      stream = response.data;
+    } catch (error) {
+      if (error.response) {
+        error.response.data = await readStreamErrorBody(error);
+      }
+      throw this.normalizeError(error);
+    }
+
+    try {
+      for await (const chunk of parseNDJSON(stream)) {
+        if (chunk.error) {
+          throw new Error(`Ollama pull failed: ${chunk.error}`);
+        }
+
+        yield {
+          status: chunk.status,
+          ...(chunk.digest && { digest: chunk.digest }),
+          ...(chunk.total !== undefined && { total: chunk.total }),
+          ...(chunk.completed !== undefined && { completed: chunk.completed })
+        };
+
+        if (chunk.status === 'success') {
+          completed = true;
+          console.log(`✅ Pulled model: ${modelName}`);
+          return;
+        }
+      }
+
+      throw new Error('Ollama pull ended before completion');
+    } finally {
+      if (!completed) {
+        // Consumer stopped early or the pull failed - cancel the download
+        controller.abort();
+      }
+    }
+  }
 }
 
 module.exports = OllamaProvider;
@@ -0,0 +1,446 @@
+const BaseLLMProvider = require('./base-provider');
+const axios = require('axios');
+const { parseSSE, readStreamErrorBody } = require('./stream-utils');
+const { createProviderError } = require('./provider-errors');
+const { linkAbortSignal } = require('./abort-utils');
+
+/**
+ * OpenAI-Compatible Provider Implementation
+ *
+ * Handles communication with any server that speaks the OpenAI
+ * `/v1/chat/completions` protocol at a custom base URL, such as vLLM,
+ * llama.cpp's server, LM Studio or LocalAI. The API key is optional since
+ * most on-prem servers run without authentication.
+ *
+ * Subclasses (e.g. Azure OpenAI) can override the URL, header and body
+ * hooks to adapt the same protocol to a different addressing scheme.
+ */
+class OpenAICompatibleProvider extends BaseLLMProvider {
+  constructor(config) {
+    super(config);
+
+    this.baseUrl = this.resolveBaseUrl(config);
+    this.apiKey = this.resolveApiKey(config);
+    this.headers = config.headers || {};
+    this.model = this.resolveModel(config);
+    this.timeout = config.timeout || 30000;
+
+    console.log(`🔧 ${this.getProviderLabel()} provider initialized with URL: ${this.baseUrl}, model: ${this.model || 'auto'}`);
+  }
+
+  /**
+   * Resolve the server base URL from configuration
+   * @param {Object} config - Provider configuration
+   * @returns {string} Base URL without a trailing slash
+   */
+  resolveBaseUrl(config) {
+    const baseUrl = config.baseUrl || config.url;
+
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible provider requires a baseUrl in configuration');
+    }
+
+    return baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Resolve the (optional) API key from configuration
+   * @param {Object} config - Provider configuration
+   * @returns {string|null} API key, or null when the server needs none
+   */
+  resolveApiKey(config) {
+    return config.apiKey ||
+           (config.apiKeyEnv && process.env[config.apiKeyEnv]) ||
+           null;
+  }
+
+  /**
+   * Resolve the model name from configuration. When no model is configured
+   * the first model reported by the server is used (see resolveModelName).
+   * @param {Object} config - Provider configuration
+   * @returns {string|null} Model name
+   */
+  resolveModel(config) {
+    return config.model || null;
+  }
+
+  /**
+   * Provider type reported in responses
+   * @returns {string} Provider type
+   */
+  getProviderType() {
+    return 'openai-compatible';
+  }
+
+  /**
+   * Human-readable label used in log and error messages
+   * @returns {string} Provider label
+   */
+  getProviderLabel() {
+    return 'OpenAI-compatible';
+  }
+
+  /**
+   * @returns {string} URL of the chat completions endpoint
+   */
+  getChatCompletionsUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  /**
+   * @returns {string} URL of the models listing endpoint
+   */
+  getModelsUrl() {
+    return `${this.baseUrl}/models`;
+  }
+
+  /**
+   * Query string parameters added to every request
+   * @returns {Object} Query parameters
+   */
+  getRequestParams() {
+    return {};
+  }
+
+  /**
+   * Build request headers, including any custom headers from configuration
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.headers
+    };
+
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {string} model - Model name to request
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Validated generation options
+   * @returns {Object} Request body
+   */
+  buildRequestBody(model, messages, options) {
+    return {
+      model: model,
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      top_p: options.topP,
+      stop: options.stop || null,
+      presence_penalty: options.presencePenalty || 0,
+      frequency_penalty: options.frequencyPenalty || 0
+    };
+  }
+
+  /**
+   * Build response metadata from a completion
+   * @param {Object} data - Raw completion response body
+   * @param {Object} choice - First completion choice
+   * @returns {Object} Metadata
+   */
+  buildMetadata(data, choice) {
+    return {
+      finish_reason: choice.finish_reason,
+      response_id: data.id,
+      created: data.created
+    };
+  }
+
+  /**
+   * Resolve the model to request, discovering it from the server when none
+   * is configured
+   * @returns {Promise<string>} Model name
+   */
+  async resolveModelName() {
+    if (this.model) {
+      return this.model;
+    }
+
+    const models = await this.getAvailableModels();
+    if (models.length === 0) {
+      throw new Error(`No model configured and none reported by ${this.getChatCompletionsUrl()}`);
+    }
+
+    this.model = models[0].id;
+    console.log(`🔍 Discovered ${this.getProviderLabel()} model: ${this.model}`);
+
+    return this.model;
+  }
+
+  /**
+   * Generate chat response from the chat completions endpoint
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} Response object
+   */
+  async generateChat(messages, options = {}) {
+    const label = this.getProviderLabel();
+
+    try {
+      const validatedMessages = this.validateMessages(messages);
+      const validatedOptions = this.validateOptions(options);
+      const model = await this.resolveModelName();
+
+      console.log(`🤖 Generating response with ${label} model: ${model}`);
+
+      const { result: response, retries } = await this.withRetry(() => axios.post(
+        this.getChatCompletionsUrl(),
+        this.buildRequestBody(model, validatedMessages, validatedOptions),
+        {
+          timeout: this.timeout,
+          signal: validatedOptions.signal,
+          params: this.getRequestParams(),
+          headers: this.getHeaders()
+        }
+      ), { signal: validatedOptions.signal });
+
+      if (!response.data?.choices || response.data.choices.length === 0) {
+        throw new Error(`No response generated from ${label}`);
+      }
+
+      const choice = response.data.choices[0];
+
+      return {
+        text: (choice.message?.content || '').trim(),
+        provider: this.getProviderType(),
+        model: model,
+        usage: {
+          prompt_tokens: response.data.usage?.prompt_tokens || 0,
+          completion_tokens: response.data.usage?.completion_tokens || 0,
+          total_tokens: response.data.usage?.total_tokens || 0
+        },
+        metadata: {
+          ...this.buildMetadata(response.data, choice),
+          retries: retries
+        }
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Stream chat response from the chat completions endpoint (server-sent events)
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
+   */
+  async *streamChat(messages, options = {}) {
+    const validatedMessages = this.validateMessages(messages);
+    const validatedOptions = this.validateOptions(options);
+    const controller = new AbortController();
+    let completed = false;
+    let stream;
+    let model;
+    let retries;
+
+    linkAbortSignal(validatedOptions.signal, controller);
+
+    try {
+      model = await this.resolveModelName();
+
+      console.log(`🤖 Streaming response with ${this.getProviderLabel()} model: ${model}`);
+
+      let response;
+      ({ result: response, retries } = await this.withRetry(async () => {
+        try {
+          return await axios.post(
+            this.getChatCompletionsUrl(),
+            {
+              ...this.buildRequestBody(model, validatedMessages, validatedOptions),
+              stream: true
+            },
+            {
+              timeout: this.timeout,
+              responseType: 'stream',
+              signal: controller.signal,
+              params: this.getRequestParams(),
+              headers: this.getHeaders()
+            }
+          );
+        } catch (error) {
+          if (error.response) {
+            error.response.data = await readStreamErrorBody(error);
+          }
+          throw error;
+        }
+      }, { signal: controller.signal }));
+      stream = response.data;
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+    let lastChunk = {};
+
+    try {
+      for await (const event of parseSSE(stream)) {
+        if (event.data === '[DONE]') {
+          break;
+        }
+
+        const chunk = JSON.parse(event.data);
+        lastChunk = { ...lastChunk, ...chunk };
+
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) {
+          continue;
+        }
+
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+
+        const token = choice.delta?.content;
+        if (token) {
+          text += token;
+          yield { type: 'token', text: token };
+        }
+      }
+
+      completed = true;
+      yield {
+        type: 'done',
+        text: text.trim(),
+        provider: this.getProviderType(),
+        model: model,
+        usage: {
+          prompt_tokens: usage?.prompt_tokens || 0,
+          completion_tokens: usage?.completion_tokens || 0,
+          total_tokens: usage?.total_tokens || 0
+        },
+        metadata: {
+          ...this.buildMetadata(lastChunk, { finish_reason: finishReason }),
+          retries: retries
+        }
+      };
+    } finally {
+      if (!completed) {
+        // Consumer stopped early or the stream failed - stop generation upstream
+        controller.abort();
+      }
+    }
+  }
+
+  /**
+   * Convert an axios error into a user-facing error
+   * @param {Error} error - Original error
+   * @returns {Error} Normalized error
+   */
+  normalizeError(error) {
+    const label = this.getProviderLabel();
+
+    console.error(`${label} API error:`, error.message);
+
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return createProviderError(`Unable to connect to ${label} server at ${this.baseUrl}. Please ensure it is running.`, error);
+    }
+
+    if (error.response) {
+      const apiMessage = error.response.data?.error?.message || error.response.statusText;
+
+      switch (error.response.status) {
+        case 401:
+          return createProviderError(`Invalid ${label} API key`, error);
+        case 404:
+          return createProviderError(this.getNotFoundMessage(), error);
+        case 429:
+          return createProviderError(`${label} rate limit exceeded. Please try again later.`, error);
+        case 500:
+        case 502:
+        case 503:
+          return createProviderError(`${label} service temporarily unavailable`, error);
+        default:
+          return createProviderError(`${label} API error: ${error.response.status} - ${apiMessage}`, error);
+      }
+    }
+
+    return createProviderError(`${label} service error: ${error.message}`, error);
+  }
+
+  /**
+   * @returns {string} Error message for a 404 from the completions endpoint
+   */
+  getNotFoundMessage() {
+    return `${this.getProviderLabel()} model or endpoint not found: ${this.getChatCompletionsUrl()}`;
+  }
+
+  /**
+   * Check server health via the models endpoint
+   * @returns {Promise<boolean>} True if healthy
+   */
+  async healthCheck() {
+    try {
+      const response = await axios.get(this.getModelsUrl(), {
+        timeout: 5000,
+        params: this.getRequestParams(),
+        headers: this.getHeaders()
+      });
+
+      return response.status === 200 && Array.isArray(response.data.data);
+    } catch (error) {
+      console.error(`${this.getProviderLabel()} health check failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get provider display name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return `${this.getProviderLabel()} (${this.model || 'auto'})`;
+  }
+
+  /**
+   * Get configuration summary without API keys or custom header values
+   * @returns {Object} Configuration summary
+   */
+  getConfigSummary() {
+    const { headers, ...summary } = super.getConfigSummary();
+
+    if (headers) {
+      summary.headers = Object.keys(headers);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get available models from the server's models endpoint
+   * @returns {Promise<Array>} List of available models
+   */
+  async getAvailableModels() {
+    try {
+      const response = await axios.get(this.getModelsUrl(), {
+        timeout: 10000,
+        params: this.getRequestParams(),
+        headers: this.getHeaders()
+      });
+
+      return (response.data.data || []).map(model => ({
+        id: model.id,
+        created: model.created || model.created_at,
+        owned_by: model.owned_by
+      }));
+    } catch (error) {
+      console.error(`Failed to get ${this.getProviderLabel()} models:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -1,5 +1,15 @@
 const BaseLLMProvider = require('./base-provider');
 const OpenAI = require('openai');
+const { createProviderError, isTransientError } = require('./provider-errors');
+
+/**
+ * The SDK reports network failures as APIConnectionError without a status or code
+ * @param {Error} error - OpenAI SDK error
+ * @returns {boolean} True if the request may succeed when repeated
+ */
+function isRetryableError(error) {
+  return error instanceof OpenAI.APIConnectionError || isTransientError(error);
+}
 
 /**
  * OpenAI Provider Implementation
@@ -26,43 +36,40 @@ class OpenAIProvider extends BaseLLMProvider {
       );
     }
     
+    // Retries are handled by withRetry() so they follow the configured policy
     this.client = new OpenAI({
       apiKey: apiKey,
-      timeout: config.timeout || 30000
+      timeout: config.timeout || 30000,
+      maxRetries: 0
     });
     
-    // Use environment variable override if available
-    this.model = process.env.OPENAI_MODEL || config.model || 'gpt-3.5-turbo';
-    this.maxRetries = config.maxRetries || 3;
+    // OPENAI_MODEL is applied to the default `openai` entry by LLMConfigManager
+    this.model = config.model || 'gpt-3.5-turbo';
+    this.embeddingModel = config.embeddingModel || 'text-embedding-3-small';
     
     console.log(`🔧 OpenAI provider initialized with model: ${this.model}`);
   }
 
   /**
-   * Generate response from OpenAI
-   * @param {string} prompt - The complete prompt
+   * Generate chat response from OpenAI
+   * @param {Array<Object>} messages - Chat messages
    * @param {Object} options - Generation options
    * @returns {Promise<Object>} Response object
    */
-  async generateResponse(prompt, options = {}) {
+  async generateChat(messages, options = {}) {
     try {
+      const validatedMessages = this.validateMessages(messages);
       const validatedOptions = this.validateOptions(options);
       
       console.log(`🤖 Generating response with OpenAI model: ${this.model}`);
       
-      // Convert single prompt to chat format
-      const messages = this.convertPromptToMessages(prompt);
-      
-      const response = await this.client.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        temperature: validatedOptions.temperature,
-        max_tokens: validatedOptions.maxTokens,
-        top_p: validatedOptions.topP,
-        stop: validatedOptions.stop || null,
-        presence_penalty: validatedOptions.presencePenalty || 0,
-        frequency_penalty: validatedOptions.frequencyPenalty || 0
-      });
+      const { result: response, retries } = await this.withRetry(
+        () => this.client.chat.completions.create(
+          this.buildCompletionRequest(validatedMessages, validatedOptions),
+          { signal: validatedOptions.signal }
+        ),
+        { isRetryable: isRetryableError, signal: validatedOptions.signal }
+      );
 
       if (!response.choices || response.choices.length === 0) {
         throw new Error('No response generated from OpenAI');
@@ -82,116 +89,185 @@ class OpenAIProvider extends BaseLLMProvider {
         metadata: {
           finish_reason: choice.finish_reason,
           response_id: response.id,
-          created: response.created
+          created: response.created,
+          retries: retries
         }
       };
     } catch (error) {
-      console.error('OpenAI API error:', error.message);
-      
-      if (error.status) {
-        switch (error.status) {
-          case 401:
-            throw new Error('Invalid OpenAI API key');
-          case 429:
-            throw new Error('OpenAI rate limit exceeded. Please try again later.');
-          case 500:
-          case 502:
-          case 503:
-            throw new Error('OpenAI service temporarily unavailable');
-          default:
-            throw new Error(`OpenAI API error: ${error.status} - ${error.message}`);
-        }
-      }
-      
-      throw new Error(`OpenAI service error: ${error.message}`);
+      throw this.normalizeError(error);
     }
   }
 
   /**
-   * Convert a single prompt to OpenAI chat message format
-   * @param {string} prompt - The prompt to convert
-   * @returns {Array} Array of message objects
+   * Stream chat response from OpenAI (server-sent chat completion chunks)
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @returns {AsyncGenerator<Object>} Token chunks followed by a done chunk
    */
-  convertPromptToMessages(prompt) {
-    // Try to parse if the prompt contains conversation structure
-    const lines = prompt.split('\n');
-    const messages = [];
-    
-    // Look for system prompt at the beginning
-    let systemPrompt = '';
-    let conversationStart = 0;
-    
-    // Extract system prompt (everything before first "Human:" or "User:")
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line.startsWith('Human:') || line.startsWith('User:')) {
-        conversationStart = i;
-        break;
-      }
-      if (line && !line.startsWith('Example')) {
-        systemPrompt += line + '\n';
-      }
-    }
-    
-    if (systemPrompt.trim()) {
-      messages.push({
-        role: 'system',
-        content: systemPrompt.trim()
-      });
+  async *streamChat(messages, options = {}) {
+    const validatedMessages = this.validateMessages(messages);
+    const validatedOptions = this.validateOptions(options);
+    let stream;
+    let retries;
+
+    console.log(`🤖 Streaming response with OpenAI model: ${this.model}`);
+
+    try {
+      ({ result: stream, retries } = await this.withRetry(
+        () => this.client.chat.completions.create({
+          ...this.buildCompletionRequest(validatedMessages, validatedOptions),
+          stream: true,
+          stream_options: { include_usage: true }
+        }, { signal: validatedOptions.signal }),
+        { isRetryable: isRetryableError, signal: validatedOptions.signal }
+      ));
+    } catch (error) {
+      throw this.normalizeError(error);
     }
-    
-    // Parse conversation from the remaining content
-    let currentMessage = '';
-    let currentRole = null;
-    
-    for (let i = conversationStart; i < lines.length; i++) {
-      const line = lines[i];
-      
-      if (line.trim().startsWith('Human:') || line.trim().startsWith('User:')) {
-        // Save previous message if exists
-        if (currentRole && currentMessage.trim()) {
-          messages.push({
-            role: currentRole,
-            content: currentMessage.trim()
-          });
+
+    let text = '';
+    let finishReason = null;
+    let responseId = null;
+    let created = null;
+    let usage = null;
+    let completed = false;
+
+    try {
+      for await (const chunk of stream) {
+        responseId = responseId || chunk.id;
+        created = created || chunk.created;
+
+        if (chunk.usage) {
+          usage = chunk.usage;
         }
-        
-        currentRole = 'user';
-        currentMessage = line.replace(/^(Human:|User:)/, '').trim();
-      } else if (line.trim().startsWith('Assistant:')) {
-        // Save previous message if exists
-        if (currentRole && currentMessage.trim()) {
-          messages.push({
-            role: currentRole,
-            content: currentMessage.trim()
-          });
+
+        const choice = chunk.choices?.[0];
+        if (!choice) {
+          continue;
+        }
+
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+
+        const token = choice.delta?.content;
+        if (token) {
+          text += token;
+          yield { type: 'token', text: token };
         }
-        
-        currentRole = 'assistant';
-        currentMessage = line.replace(/^Assistant:/, '').trim();
-      } else {
-        // Continue current message
-        currentMessage += '\n' + line;
+      }
+
+      completed = true;
+      yield {
+        type: 'done',
+        text: text.trim(),
+        provider: 'openai',
+        model: this.model,
+        usage: {
+          prompt_tokens: usage?.prompt_tokens || 0,
+          completion_tokens: usage?.completion_tokens || 0,
+          total_tokens: usage?.total_tokens || 0
+        },
+        metadata: {
+          finish_reason: finishReason,
+          response_id: responseId,
+          created: created,
+          retries: retries
+        }
+      };
+    } finally {
+      if (!completed && stream.controller) {
+        // Consumer stopped early or the stream failed - cancel the request
+        stream.controller.abort();
       }
     }
-    
-    // Add the final message
-    if (currentRole && currentMessage.trim()) {
-      messages.push({
-        role: currentRole,
-        content: currentMessage.trim()
-      });
+  }
+
+  /**
+   * Compute embeddings with OpenAI's embeddings endpoint (all texts in one request)
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Optional parameters (model, signal, maxRetries)
+   * @returns {Promise<Object>} { embeddings, provider, model, usage }
+   */
+  async embed(texts, options = {}) {
+    const model = options.model || this.embeddingModel;
+
+    try {
+      const input = this.validateTexts(texts);
+
+      const { result: response } = await this.withRetry(
+        () => this.client.embeddings.create({ model, input }, { signal: options.signal }),
+        { isRetryable: isRetryableError, signal: options.signal, maxRetries: options.maxRetries }
+      );
+
+      if (!Array.isArray(response.data) || response.data.length !== input.length) {
+        throw new Error('Invalid embeddings response from OpenAI');
+      }
+
+      return {
+        embeddings: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+        provider: 'openai',
+        model: model,
+        usage: {
+          prompt_tokens: response.usage?.prompt_tokens || 0,
+          total_tokens: response.usage?.total_tokens || 0
+        }
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
     }
-    
-    // If no proper conversation structure was found, treat entire prompt as user message
-    if (messages.length === 0 || (messages.length === 1 && messages[0].role === 'system')) {
-      messages.push({
-        role: 'user',
-        content: systemPrompt || prompt
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {Array<Object>} messages - Validated chat messages
+   * @param {Object} options - Validated generation options
+   * @returns {Object} Request body
+   */
+  buildCompletionRequest(messages, options) {
+    return {
+      model: this.model,
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      top_p: options.topP,
+      stop: options.stop || null,
+      presence_penalty: options.presencePenalty || 0,
+      frequency_penalty: options.frequencyPenalty || 0
+    };
+  }
+
+  /**
+   * Convert an OpenAI SDK error into a user-facing error
+   * @param {Error} error - Original error
+   * @returns {Error} Normalized error
+   */
+  normalizeError(error) {
+    console.error('OpenAI API error:', error.message);
+
+    // The SDK reports network failures without a status or error code
+    if (error instanceof OpenAI.APIConnectionError) {
+      return createProviderError('Unable to connect to OpenAI API.', error, {
+        code: error instanceof OpenAI.APIConnectionTimeoutError ? 'ETIMEDOUT' : 'ECONNREFUSED'
       });
     }
-    
-    return messages;
+
+    if (error.status) {
+      switch (error.status) {
+        case 401:
+          return createProviderError('Invalid OpenAI API key', error);
+        case 429:
+          return createProviderError('OpenAI rate limit exceeded. Please try again later.', error);
+        case 500:
+        case 502:
+        case 503:
+          return createProviderError('OpenAI service temporarily unavailable', error);
+        default:
+          return createProviderError(`OpenAI API error: ${error.status} - ${error.message}`, error);
+      }
+    }
+
+    return createProviderError(`OpenAI service error: ${error.message}`, error);
   }
 
   /**
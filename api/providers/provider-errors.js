@@ -0,0 +1,89 @@
+/**
+ * Error helpers shared by providers
+ *
+ * Providers turn transport errors (axios, the OpenAI SDK) into user-facing
+ * messages. These helpers keep the HTTP status and network error code on the
+ * normalized error so callers can tell a temporary outage (connection
+ * refused, timeout, rate limit, 5xx) from a request that will never succeed.
+ * The checks accept both raw axios/SDK errors and normalized errors.
+ */
+
+// Network error codes that indicate the service is unreachable or too slow
+const TRANSIENT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ETIMEDOUT',
+  'ECONNABORTED'
+];
+
+/**
+ * Create a normalized provider error that keeps the transport details
+ * @param {string} message - User-facing error message
+ * @param {Error} original - Error raised by the HTTP client or SDK
+ * @param {Object} details - Overrides for the copied details (e.g. { code })
+ * @returns {Error} Error with `status`, `code` and `cause`
+ */
+function createProviderError(message, original, details = {}) {
+  const error = new Error(message);
+
+  error.status = original?.response?.status ?? original?.status;
+  error.code = original?.code;
+  error.cause = original;
+  Object.assign(error, details);
+
+  return error;
+}
+
+/**
+ * Check whether an error is temporary, so the request may succeed if it is
+ * repeated or sent to another provider
+ * @param {Error} error - Provider, axios or SDK error
+ * @returns {boolean} True for connection errors, timeouts, 408s, 429s and 5xx responses
+ */
+function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (TRANSIENT_ERROR_CODES.includes(error.code) || TRANSIENT_ERROR_CODES.includes(error.cause?.code)) {
+    return true;
+  }
+
+  const status = error.status ?? error.response?.status;
+  return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Read the Retry-After header of an error response
+ * @param {Error} error - axios or SDK error
+ * @returns {number|null} Milliseconds to wait, or null if the header is absent or invalid
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.response?.headers || error?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  TRANSIENT_ERROR_CODES,
+  createProviderError,
+  isTransientError,
+  getRetryAfterMs
+};
@@ -1,5 +1,9 @@
 const OllamaProvider = require('./ollama-provider');
 const OpenAIProvider = require('./openai-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const AzureOpenAIProvider = require('./azure-openai-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const MockProvider = require('./mock-provider');
 
 /**
  * Provider Factory
@@ -10,10 +14,12 @@ const OpenAIProvider = require('./openai-provider');
 class ProviderFactory {
   static supportedProviders = {
     'ollama': OllamaProvider,
-    'openai': OpenAIProvider
+    'openai': OpenAIProvider,
+    'anthropic': AnthropicProvider,
+    'azure': AzureOpenAIProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    'mock': MockProvider
     // Future providers can be added here:
-    // 'anthropic': AnthropicProvider,
-    // 'azure': AzureProvider,
     // 'huggingface': HuggingFaceProvider
   };
 
@@ -90,6 +96,39 @@ class ProviderFactory {
           errors.push('OpenAI provider requires an API key');
         }
         break;
+
+      case 'anthropic':
+        const hasAnthropicKey = config.apiKey ||
+                                process.env[config.apiKeyEnv] ||
+                                process.env.ANTHROPIC_API_KEY;
+        if (!hasAnthropicKey) {
+          errors.push('Anthropic provider requires an API key');
+        }
+        break;
+
+      case 'azure':
+        if (!config.endpoint) {
+          errors.push('Azure OpenAI provider requires an endpoint');
+        }
+        if (!config.deployment) {
+          errors.push('Azure OpenAI provider requires a deployment');
+        }
+        const hasAzureKey = config.apiKey ||
+                            process.env[config.apiKeyEnv] ||
+                            process.env.AZURE_OPENAI_API_KEY;
+        if (!hasAzureKey) {
+          errors.push('Azure OpenAI provider requires an API key');
+        }
+        break;
+
+      case 'openai-compatible':
+        if (!config.baseUrl && !config.url) {
+          errors.push('OpenAI-compatible provider requires a baseUrl');
+        }
+        if (config.headers && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+          errors.push('OpenAI-compatible provider headers must be a map of header names to values');
+        }
+        break;
     }
 
     return {
@@ -0,0 +1,215 @@
+const ProviderFactory = require('./provider-factory');
+const FailoverProvider = require('./failover-provider');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { ConcurrencyLimiter } = require('./concurrency-limiter');
+
+/**
+ * Provider Pool
+ *
+ * Holds one instance of each provider from `llm-config.yaml`, created on first
+ * use through ProviderFactory, and the failover chains built from them. A
+ * persona can route to its own provider with an `llm` block:
+ *
+ *   llm:
+ *     provider: "openai-gpt4"
+ *     fallback_providers: ["openai", "ollama"]
+ *
+ * Personas without an `llm` block use the default chain (`default_provider`
+ * followed by `fallback_providers`). A persona that names a provider but no
+ * fallbacks uses the global `fallback_providers`. Chains share provider
+ * instances, their circuit breakers and their concurrency limiters, so an
+ * outage seen by one persona opens the circuit for every persona using that
+ * provider, and every persona waits in the same queue for its slots.
+ *
+ * Callers wrap each request in acquire()/release() so a pool that is being
+ * replaced can drain its in-flight requests before it is closed.
+ */
+class ProviderPool {
+  /**
+   * @param {LLMConfigManager} llmConfigManager - Source of provider configurations
+   * @param {Object} options - Options passed to every FailoverProvider
+   * @param {number} options.probeInterval - Milliseconds between health probes of failed providers
+   * @param {Object} options.circuitBreaker - CircuitBreaker options
+   * @param {Function} options.concurrency - Returns the ConcurrencyLimiter options for a provider name
+   *   (default: no limit)
+   */
+  constructor(llmConfigManager, options = {}) {
+    this.llmConfigManager = llmConfigManager;
+    this.options = options;
+    this.providers = new Map();
+    this.chains = new Map();
+    this.inFlight = 0;
+    this.drainWaiters = [];
+    this.defaultChain = this.getChain(this.resolveChain());
+  }
+
+  /**
+   * Provider names a persona's requests are sent to, in priority order
+   * @param {Object|null} personaConfig - Persona configuration (null for the default chain)
+   * @returns {Array<string>} Provider names without duplicates
+   */
+  resolveChain(personaConfig = null) {
+    const llm = personaConfig?.llm;
+    const fallbacks = llm?.fallback_providers ||
+      this.llmConfigManager.getFallbackProviders().map(config => config.name);
+    const names = llm
+      ? [llm.provider, ...fallbacks]
+      : this.llmConfigManager.getProviderChain().map(config => config.name);
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Get the shared instance of a provider, creating it on first use
+   * @param {string} name - Provider name from llm-config.yaml
+   * @returns {Object} { provider, breaker, limiter }
+   * @throws {Error} If the provider is not configured or cannot be created
+   */
+  getInstance(name) {
+    if (!this.providers.has(name)) {
+      const provider = ProviderFactory.createProvider(this.llmConfigManager.getProviderConfig(name));
+      this.providers.set(name, {
+        provider,
+        breaker: new CircuitBreaker(name, this.options.circuitBreaker),
+        limiter: new ConcurrencyLimiter(name, this.options.concurrency?.(name))
+      });
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Get the failover chain for a list of providers, creating it on first use
+   * Providers that cannot be created (e.g. missing API key) are skipped.
+   * @param {Array<string>} names - Provider names in priority order
+   * @returns {FailoverProvider} Provider for the chain
+   * @throws {Error} If none of the providers can be created
+   */
+  getChain(names) {
+    const key = names.join(',');
+
+    if (!this.chains.has(key)) {
+      const entries = [];
+
+      for (const name of names) {
+        try {
+          entries.push({ name, ...this.getInstance(name) });
+        } catch (error) {
+          console.warn(`Skipping provider ${name}: ${error.message}`);
+        }
+      }
+
+      if (entries.length === 0) {
+        throw new Error(`No LLM provider could be initialized (tried: ${names.join(', ')})`);
+      }
+
+      this.chains.set(key, new FailoverProvider(entries, this.options));
+    }
+
+    return this.chains.get(key);
+  }
+
+  /**
+   * Get the provider that serves a persona
+   * @param {Object|null} personaConfig - Persona configuration (null for the default chain)
+   * @returns {FailoverProvider} Provider for the persona's chain
+   */
+  getProvider(personaConfig = null) {
+    return personaConfig?.llm ? this.getChain(this.resolveChain(personaConfig)) : this.defaultChain;
+  }
+
+  /**
+   * Describe how a persona is routed, for API responses
+   * @param {Object|null} personaConfig - Persona configuration
+   * @returns {Object} { source, provider, fallback_providers }
+   */
+  describeRouting(personaConfig = null) {
+    const [provider, ...fallbacks] = this.resolveChain(personaConfig);
+
+    return {
+      source: personaConfig?.llm ? 'persona' : 'default',
+      provider: provider,
+      fallback_providers: fallbacks
+    };
+  }
+
+  /**
+   * Circuit breaker status of every provider created so far
+   * @returns {Object} Breaker status keyed by provider name
+   */
+  getCircuitStatus() {
+    const status = {};
+
+    this.providers.forEach(({ breaker }, name) => {
+      status[name] = breaker.getStatus();
+    });
+
+    return status;
+  }
+
+  /**
+   * Concurrency limiter status of every provider created so far
+   * @returns {Object} Active requests and queue length keyed by provider name
+   */
+  getQueueStatus() {
+    const status = {};
+
+    this.providers.forEach(({ limiter }, name) => {
+      status[name] = limiter.getStatus();
+    });
+
+    return status;
+  }
+
+  /**
+   * Count a request as in flight until release() is called
+   */
+  acquire() {
+    this.inFlight++;
+  }
+
+  /**
+   * Mark an in-flight request as finished
+   */
+  release() {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+
+    if (this.inFlight === 0) {
+      this.drainWaiters.splice(0).forEach(resolve => resolve(true));
+    }
+  }
+
+  /**
+   * Wait until every in-flight request has finished
+   * @param {number} timeout - Maximum milliseconds to wait (default 30000)
+   * @returns {Promise<boolean>} True if the pool drained, false if the timeout expired first
+   */
+  drain(timeout = 30000) {
+    if (this.inFlight === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.drainWaiters = this.drainWaiters.filter(waiter => waiter !== done);
+        resolve(false);
+      }, timeout);
+      timer.unref();
+
+      const done = (drained) => {
+        clearTimeout(timer);
+        resolve(drained);
+      };
+      this.drainWaiters.push(done);
+    });
+  }
+
+  /**
+   * Stop every chain's health probes (call before discarding the pool)
+   */
+  close() {
+    this.chains.forEach(chain => chain.close());
+  }
+}
+
+module.exports = ProviderPool;
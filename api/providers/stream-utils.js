@@ -0,0 +1,138 @@
+/**
+ * Streaming helpers shared by providers
+ *
+ * LLM backends stream completions either as newline-delimited JSON (Ollama)
+ * or as Server-Sent Events (OpenAI-style APIs, Anthropic). These helpers turn
+ * a Node.js readable stream from axios (`responseType: 'stream'`) into async
+ * iterators of parsed records.
+ */
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Decode a byte stream as UTF-8 text
+ * A character whose bytes are split across two chunks is decoded once the
+ * second chunk arrives, instead of turning into U+FFFD in each.
+ * @param {Readable} stream - Node.js readable stream (Buffer or string chunks)
+ * @returns {AsyncGenerator<string>} Decoded text
+ */
+async function* decodeText(stream) {
+  const decoder = new StringDecoder('utf8');
+
+  for await (const chunk of stream) {
+    yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+  }
+
+  const rest = decoder.end();
+  if (rest) {
+    yield rest;
+  }
+}
+
+/**
+ * Split a readable byte stream into lines
+ * @param {Readable} stream - Node.js readable stream
+ * @returns {AsyncGenerator<string>} Lines without trailing newline characters
+ */
+async function* readLines(stream) {
+  let buffer = '';
+
+  for await (const text of decodeText(stream)) {
+    buffer += text;
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      yield line;
+    }
+  }
+
+  if (buffer.length > 0) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Parse a newline-delimited JSON stream
+ * @param {Readable} stream - Node.js readable stream
+ * @returns {AsyncGenerator<Object>} Parsed JSON objects
+ */
+async function* parseNDJSON(stream) {
+  for await (const line of readLines(stream)) {
+    if (line.trim() === '') {
+      continue;
+    }
+
+    yield JSON.parse(line);
+  }
+}
+
+/**
+ * Parse a Server-Sent Events stream
+ * @param {Readable} stream - Node.js readable stream
+ * @returns {AsyncGenerator<Object>} Events as { event, data } where data is the
+ *   raw (possibly multi-line) data string
+ */
+async function* parseSSE(stream) {
+  let event = null;
+  let dataLines = [];
+
+  for await (const line of readLines(stream)) {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield { event: event || 'message', data: dataLines.join('\n') };
+      }
+      event = null;
+      dataLines = [];
+      continue;
+    }
+
+    if (line.startsWith(':')) {
+      continue; // Comment / keep-alive
+    }
+
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  }
+
+  if (dataLines.length > 0) {
+    yield { event: event || 'message', data: dataLines.join('\n') };
+  }
+}
+
+/**
+ * Read an error body returned with `responseType: 'stream'`
+ * @param {Object} error - axios error
+ * @returns {Promise<Object|string|null>} Parsed body when possible
+ */
+async function readStreamErrorBody(error) {
+  const data = error.response?.data;
+
+  if (!data || typeof data[Symbol.asyncIterator] !== 'function') {
+    return data || null;
+  }
+
+  let body = '';
+  try {
+    for await (const text of decodeText(data)) {
+      body += text;
+    }
+    return JSON.parse(body);
+  } catch (parseError) {
+    return body || null;
+  }
+}
+
+module.exports = {
+  readLines,
+  parseNDJSON,
+  parseSSE,
+  readStreamErrorBody
+};
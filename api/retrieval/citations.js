@@ -0,0 +1,90 @@
+/**
+ * Citation Checking
+ *
+ * The model is asked to cite the reference passages it uses with their
+ * number in square brackets ("Pools open at 11 am [1]."). Before a response
+ * is returned, every marker is checked against the passages that were
+ * actually in the prompt, and each valid marker becomes an entry of the
+ * `citations` array.
+ *
+ * Numbers that point to no passage ("[2, 7]" or "[4]" with three passages)
+ * are removed, so readers never follow a citation to a source that was not
+ * there. Bracketed numbers that cannot be a marker, because they are larger
+ * than the most passages a persona can be configured to retrieve (such as
+ * "[2024]"), are left alone unless they sit next to a valid marker number.
+ */
+
+const { personaSchema } = require('../config/persona-schema');
+
+// [1], [2, 3] - but not a Markdown link such as [1](https://...)
+const MARKER_PATTERN = /\s?\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+
+// Highest passage number any persona can issue (knowledge.max_passages)
+const MAX_MARKER = personaSchema.properties.knowledge.properties.max_passages.maximum;
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Shorten a passage to a snippet, cutting at a word boundary
+ * @param {string} text - Passage text
+ * @returns {string} Snippet of at most about SNIPPET_LENGTH characters
+ */
+function buildSnippet(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) {
+    return flat;
+  }
+
+  const cut = flat.slice(0, SNIPPET_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : SNIPPET_LENGTH)}…`;
+}
+
+/**
+ * Check the citation markers of a response against the retrieved passages
+ * @param {string} text - Validated response text
+ * @param {Array<Object>} passages - Passages in the prompt, in marker order (passage 1 first)
+ * @returns {Object} { text, citations, invalid } - the text without invalid marker numbers, one citation
+ *   ({ marker, title, section, url, path, snippet }) per cited passage ordered by marker, and the
+ *   number of invalid marker numbers removed
+ */
+function checkCitations(text, passages) {
+  const cited = new Set();
+  let invalid = 0;
+
+  const checkedText = text.replace(MARKER_PATTERN, (match, list) => {
+    const markers = list.split(',').map(marker => Number(marker.trim()));
+    const valid = markers.filter(marker => marker >= 1 && marker <= passages.length);
+
+    // Bracketed numbers that could never be a marker are ordinary text
+    if (valid.length === 0 && markers.some(marker => marker > MAX_MARKER)) {
+      return match;
+    }
+
+    invalid += markers.length - valid.length;
+    valid.forEach(marker => cited.add(marker));
+
+    if (valid.length === 0) {
+      return '';
+    }
+
+    return valid.length === markers.length ? match : `${match.startsWith(' ') ? ' ' : ''}[${valid.join(', ')}]`;
+  });
+
+  const citations = [...cited].sort((a, b) => a - b).map(marker => {
+    const passage = passages[marker - 1];
+    return {
+      marker,
+      title: passage.title,
+      section: passage.section || null,
+      url: passage.url || null,
+      path: passage.source,
+      snippet: buildSnippet(passage.text)
+    };
+  });
+
+  return { text: checkedText, citations, invalid };
+}
+
+module.exports = {
+  checkCitations
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+// The package entry point runs a self-test when loaded without a parent module
+const parsePdf = require('pdf-parse/lib/pdf-parse.js');
+
+/**
+ * Knowledge Document Loader
+ *
+ * Reads the documents of a persona's knowledge directory and extracts their
+ * text as Markdown-like plain text (headings as `#` lines, paragraphs
+ * separated by blank lines), so every format is chunked the same way.
+ *
+ * Supported formats:
+ *   .md / .markdown / .txt - read as is; optional front matter
+ *                            (`---` block with `title:` and `url:`) sets the
+ *                            document title and link
+ *   .html / .htm           - tags stripped; <title> and <link rel="canonical">
+ *                            set the title and link
+ *   .pdf                   - text layer, read with pdf-parse; the document
+ *                            Title sets the title (scanned PDFs have no text
+ *                            to extract)
+ *
+ * Other files are ignored.
+ */
+
+const extractors = {
+  '.md': extractMarkdown,
+  '.markdown': extractMarkdown,
+  '.txt': extractMarkdown,
+  '.html': extractHtml,
+  '.htm': extractHtml,
+  '.pdf': extractPdf
+};
+
+/**
+ * Load every supported document below a directory
+ * @param {string} directory - Knowledge directory
+ * @returns {Promise<Array<Object>>} Documents as { source, title, url, text }, sorted by source;
+ *   `source` is the path relative to the directory
+ * @throws {Error} If the directory does not exist
+ */
+async function loadDocuments(directory) {
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`Knowledge directory not found: ${directory}`);
+  }
+
+  const documents = [];
+  for (const file of listFiles(directory).filter(file => extractors[path.extname(file).toLowerCase()])) {
+    documents.push(await loadDocument(directory, file));
+  }
+  return documents;
+}
+
+/**
+ * Load a single document
+ * @param {string} directory - Knowledge directory
+ * @param {string} file - Path of the document relative to the directory
+ * @returns {Promise<Object>} { source, title, url, text }
+ */
+async function loadDocument(directory, file) {
+  const extract = extractors[path.extname(file).toLowerCase()];
+  const document = await extract(fs.readFileSync(path.join(directory, file)));
+
+  return {
+    source: file.split(path.sep).join('/'),
+    title: document.title || titleFromFileName(file),
+    url: document.url || null,
+    text: document.text.replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+/**
+ * @param {string} directory - Directory to list
+ * @param {string} prefix - Path of the directory relative to the knowledge directory
+ * @returns {Array<string>} Relative paths of all files, sorted (hidden files are skipped)
+ */
+function listFiles(directory, prefix = '') {
+  return fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const relative = path.join(prefix, entry.name);
+      return entry.isDirectory() ? listFiles(path.join(directory, entry.name), relative) : [relative];
+    });
+}
+
+/**
+ * @param {string} file - Document path
+ * @returns {string} Readable title from the file name ("park-hours.md" -> "Park hours")
+ */
+function titleFromFileName(file) {
+  const name = path.basename(file, path.extname(file)).replace(/[-_]+/g, ' ').trim();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Extract a Markdown or plain text document
+ * @param {Buffer} content - File content
+ * @returns {Object} { title, url, text }
+ */
+function extractMarkdown(content) {
+  let text = content.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const meta = {};
+
+  const frontMatter = text.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach(line => {
+      const field = line.match(/^(title|url):\s*(.+)$/);
+      if (field) {
+        meta[field[1]] = field[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+      }
+    });
+    text = text.slice(frontMatter[0].length);
+  }
+
+  const heading = text.match(/^#\s+(.+)$/m);
+
+  return {
+    title: meta.title || heading?.[1].trim(),
+    url: meta.url,
+    text
+  };
+}
+
+/**
+ * Extract an HTML document
+ * @param {Buffer} content - File content
+ * @returns {Object} { title, url, text }
+ */
+function extractHtml(content) {
+  const html = content.toString('utf8');
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const canonical = html.match(/<link[^>]+rel=["']canonical["'][^>]*>/i)?.[0].match(/href=["']([^"']+)["']/i);
+
+  const text = html
+    .replace(/<(script|style|noscript|template|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) =>
+      `\n\n${'#'.repeat(Number(level))} ${heading.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|ul|ol|table|tr|blockquote|pre|main|header|footer)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return {
+    title: title ? decodeEntities(title[1].replace(/\s+/g, ' ').trim()) : null,
+    url: canonical?.[1],
+    text: decodeEntities(text)
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+  };
+}
+
+/**
+ * Decode the HTML entities that commonly appear in agency pages
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Extract the text of a PDF document
+ * Text is read with pdf-parse (Mozilla's pdf.js), which decodes embedded and
+ * CID fonts through their ToUnicode maps. Scanned PDFs have no text layer and
+ * yield an empty document.
+ * @param {Buffer} content - File content
+ * @returns {Promise<Object>} { title, url, text }
+ */
+async function extractPdf(content) {
+  const { info, text } = await parsePdf(content);
+
+  return {
+    title: info?.Title?.trim() || null,
+    url: null,
+    text: text.split('\n').map(line => line.trim()).join('\n')
+  };
+}
+
+module.exports = {
+  loadDocuments,
+  loadDocument,
+  supportedExtensions: Object.keys(extractors)
+};
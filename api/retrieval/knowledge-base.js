@@ -0,0 +1,184 @@
+const path = require('path');
+const { loadDocuments } = require('./document-loader');
+const { KnowledgeIndex, buildIndex } = require('./knowledge-index');
+const { findDocumentInjectionPattern } = require('../security/injection-scanner');
+
+// Retrieval settings for personas that leave them out of their `knowledge` block
+const defaultRetrievalSettings = {
+  max_passages: 3,
+  token_budget: 800
+};
+
+/**
+ * Knowledge Base
+ *
+ * Retrieves reference passages for personas with a `knowledge` block. Each
+ * persona's documents live in its knowledge directory (relative paths are
+ * resolved against `documentsDirectory`) and are indexed ahead of time by
+ * `npm run ingest-knowledge` into `<indexDirectory>/<persona>.json`.
+ *
+ * Indexes are loaded on first use and kept until reload() is called (on a
+ * configuration reload). A persona whose index is missing or unreadable is
+ * answered without reference material; the problem is logged once.
+ */
+class KnowledgeBase {
+  /**
+   * @param {Object} options
+   * @param {string} options.documentsDirectory - Base directory of relative knowledge directories (default api/knowledge)
+   * @param {string} options.indexDirectory - Directory of the index files (default api/data/knowledge)
+   * @param {Function} options.embed - Called with (text, { provider, model }, signal), returns a promise of
+   *   an embedding vector; used to search indexes built with embeddings (optional)
+   */
+  constructor(options = {}) {
+    this.documentsDirectory = options.documentsDirectory || path.join(__dirname, '..', 'knowledge');
+    this.indexDirectory = options.indexDirectory || path.join(__dirname, '..', 'data', 'knowledge');
+    this.embed = options.embed || null;
+    // Persona name -> KnowledgeIndex, or null if the index could not be loaded
+    this.indexes = new Map();
+  }
+
+  /**
+   * @param {Object} knowledge - The persona's `knowledge` block
+   * @returns {string} Absolute path of the persona's knowledge directory
+   */
+  resolveDirectory(knowledge) {
+    return path.resolve(this.documentsDirectory, knowledge.directory);
+  }
+
+  /**
+   * @param {string} persona - Persona name
+   * @returns {string} Path of the persona's index file
+   */
+  getIndexPath(persona) {
+    return path.join(this.indexDirectory, `${persona}.json`);
+  }
+
+  /**
+   * Get a persona's index, loading it on first use
+   * @param {string} persona - Persona name
+   * @returns {KnowledgeIndex|null} Index, or null if it has not been built or cannot be read
+   */
+  getIndex(persona) {
+    if (!this.indexes.has(persona)) {
+      const file = this.getIndexPath(persona);
+      let index = null;
+
+      try {
+        index = KnowledgeIndex.load(file);
+        console.log(`📚 Loaded knowledge index for ${persona}: ${index.chunks.length} passage(s)`);
+      } catch (error) {
+        const problem = error.code === 'ENOENT' ? 'not found, run npm run ingest-knowledge' : `unreadable: ${error.message}`;
+        console.warn(`⚠️ Knowledge index for ${persona} ${problem}`);
+      }
+
+      this.indexes.set(persona, index);
+    }
+
+    return this.indexes.get(persona);
+  }
+
+  /**
+   * Version of a persona's index (changes when it is rebuilt with different content)
+   * @param {string} persona - Persona name
+   * @returns {string|null} Index id, or null if the persona has no index
+   */
+  getVersion(persona) {
+    return this.getIndex(persona)?.id || null;
+  }
+
+  /**
+   * Forget loaded indexes so they are read again on next use
+   * @param {Array<string>} personas - Personas to reload (default: all)
+   */
+  reload(personas = null) {
+    if (personas) {
+      personas.forEach(persona => this.indexes.delete(persona));
+    } else {
+      this.indexes.clear();
+    }
+  }
+
+  /**
+   * Retrieve the passages most relevant to a question
+   * Passages are taken in order of relevance up to `max_passages`; a passage
+   * that would exceed the remaining `token_budget` is skipped.
+   * @param {string} persona - Persona name
+   * @param {Object} personaConfig - Persona configuration
+   * @param {string} question - Sanitized user question
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Cancels the question embedding request (optional)
+   * @returns {Promise<Object|null>} { passages, retrieval: 'bm25' | 'hybrid', version }, or null if the
+   *   persona has no knowledge base or no index. Passages are { id, source, title, url, section, text, score }.
+   */
+  async retrieve(persona, personaConfig, question, { signal = null } = {}) {
+    if (!personaConfig.knowledge) {
+      return null;
+    }
+
+    const index = this.getIndex(persona);
+    if (!index) {
+      return null;
+    }
+
+    const settings = { ...defaultRetrievalSettings, ...personaConfig.knowledge };
+    let vector = null;
+
+    if (index.embeddings && this.embed) {
+      try {
+        vector = await this.embed(question, index.embeddings, signal);
+      } catch (error) {
+        console.warn(`⚠️ Knowledge search for ${persona} falls back to keywords, embedding failed: ${error.message}`);
+      }
+    }
+
+    const passages = [];
+    let remainingTokens = settings.token_budget;
+
+    for (const { chunk, score } of index.search(question, { limit: settings.max_passages * 3, vector })) {
+      if (passages.length >= settings.max_passages) {
+        break;
+      }
+
+      const tokens = Math.ceil(chunk.text.length / 4);
+      if (tokens > remainingTokens) {
+        continue;
+      }
+
+      const { vector: chunkVector, ...passage } = chunk;
+      passages.push({ ...passage, score: Math.round(score * 1000) / 1000 });
+      remainingTokens -= tokens;
+    }
+
+    return { passages, retrieval: vector ? 'hybrid' : 'bm25', version: index.id };
+  }
+
+  /**
+   * Build and save a persona's index from its knowledge directory
+   * Passages that match a document injection pattern are quarantined: they
+   * are left out of the index and listed in it with the pattern they matched.
+   * The rest of their document is indexed as usual.
+   * @param {string} persona - Persona name
+   * @param {Object} personaConfig - Persona configuration with a `knowledge` block
+   * @param {Object} options
+   * @param {number} options.chunkTokens - Maximum passage size
+   * @param {Function} options.embed - Called with an array of texts, returns a promise of their vectors (optional)
+   * @param {Object} options.embeddings - { provider, model } used by `embed`
+   * @returns {Promise<Object>} Summary of the new index ({ id, documents, chunks, embeddings, quarantined, empty })
+   *   where `empty` lists documents without extractable text
+   */
+  async ingest(persona, personaConfig, options = {}) {
+    const documents = await loadDocuments(this.resolveDirectory(personaConfig.knowledge));
+    const empty = documents.filter(document => !document.text).map(document => document.source);
+
+    const index = await buildIndex(persona, documents.filter(document => document.text), {
+      ...options,
+      screen: (chunk) => findDocumentInjectionPattern(`${chunk.title}\n${chunk.section || ''}\n${chunk.text}`)?.toString() || null
+    });
+    index.save(this.getIndexPath(persona));
+    this.indexes.set(persona, index);
+
+    return { ...index.getSummary(), empty };
+  }
+}
+
+module.exports = KnowledgeBase;
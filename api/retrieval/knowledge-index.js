@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { cosineSimilarity } = require('../cache/semantic-cache');
+
+/**
+ * Knowledge Index
+ *
+ * A persona's knowledge documents split into passages ("chunks") and ranked
+ * against a question with BM25, a keyword relevance score that favours rare
+ * terms and short passages. When the index was built with embeddings, the
+ * cosine similarity between the question and each passage is blended in, so
+ * passages that answer the question in other words are found too.
+ *
+ * Indexes are JSON files written by `npm run ingest-knowledge`; only the
+ * passages (and their vectors) are stored, the BM25 statistics are rebuilt
+ * when an index is loaded.
+ */
+
+const INDEX_FORMAT = 1;
+
+// BM25 parameters: term frequency saturation and passage length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Rough token estimate, as for few-shot examples (about four characters per token)
+const CHARS_PER_TOKEN = 4;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'there',
+  'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Split text into search terms
+ * Lowercased words and numbers without stop words, in singular form so
+ * "fees" matches "fee" and "classes" matches "class".
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms in order of appearance
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:['.][a-z0-9]+)*/g) || [])
+    .filter(term => !STOP_WORDS.has(term))
+    .map(singular);
+}
+
+/**
+ * @param {string} term - Lowercased word
+ * @returns {string} The word without a regular English plural ending
+ */
+function singular(term) {
+  if (term.length <= 3) {
+    return term;
+  }
+  if (/[^aeiou]ies$/.test(term)) {
+    return `${term.slice(0, -3)}y`;
+  }
+  if (/(ss|x|z|ch|sh)es$/.test(term)) {
+    return term.slice(0, -2);
+  }
+  if (/[^su]s$/.test(term)) {
+    return term.slice(0, -1);
+  }
+  return term;
+}
+
+/**
+ * Split a document into passages of at most `chunkTokens` estimated tokens
+ * Passages never cross a heading, so each belongs to one section; the
+ * nearest heading above a passage is its section. Paragraphs are kept
+ * whole where possible, longer ones are split between sentences.
+ * @param {Object} document - { source, title, url, text } from the document loader
+ * @param {Object} options
+ * @param {number} options.chunkTokens - Maximum passage size (default 200)
+ * @returns {Array<Object>} Passages as { id, source, title, url, section, text }
+ */
+function chunkDocument(document, { chunkTokens = 200 } = {}) {
+  const maxChars = chunkTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let section = null;
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push({
+        id: `${document.source}#${chunks.length + 1}`,
+        source: document.source,
+        title: document.title,
+        url: document.url,
+        section,
+        text: current.join('\n\n')
+      });
+      current = [];
+    }
+  };
+
+  for (const block of document.text.split(/\n\s*\n/)) {
+    const paragraph = block.trim();
+    if (!paragraph) {
+      continue;
+    }
+
+    const heading = paragraph.match(/^#{1,6}[ \t]+(.+)(?:\n|$)/);
+    if (heading) {
+      flush();
+      section = heading[1].trim();
+
+      const rest = paragraph.slice(heading[0].length).trim();
+      if (rest) {
+        current.push(...splitParagraph(rest, maxChars));
+      }
+      continue;
+    }
+
+    for (const piece of splitParagraph(paragraph, maxChars)) {
+      if (current.length > 0 && current.join('\n\n').length + piece.length + 2 > maxChars) {
+        flush();
+      }
+      current.push(piece);
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Split a paragraph that is longer than `maxChars` between sentences (or words)
+ * @param {string} paragraph - Paragraph text
+ * @param {number} maxChars - Maximum piece length
+ * @returns {Array<string>} Pieces
+ */
+function splitParagraph(paragraph, maxChars) {
+  if (paragraph.length <= maxChars) {
+    return [paragraph];
+  }
+
+  const pieces = [];
+  let piece = '';
+
+  for (const sentence of paragraph.split(/(?<=[.!?])\s+|\n+/)) {
+    // A single sentence longer than the limit is split between words
+    const parts = sentence.length > maxChars ? sentence.match(new RegExp(`.{1,${maxChars}}(?:\\s+|$)|.{1,${maxChars}}`, 'g')) : [sentence];
+
+    for (const part of parts) {
+      if (piece && piece.length + part.length + 1 > maxChars) {
+        pieces.push(piece.trim());
+        piece = '';
+      }
+      piece += `${part} `;
+    }
+  }
+
+  if (piece.trim()) {
+    pieces.push(piece.trim());
+  }
+  return pieces;
+}
+
+class KnowledgeIndex {
+  /**
+   * @param {Object} data - Index data as written by buildIndex()/save()
+   * @throws {Error} If the data is not a knowledge index of a supported format
+   */
+  constructor(data) {
+    if (data?.format !== INDEX_FORMAT || !Array.isArray(data.chunks)) {
+      throw new Error(`Unsupported knowledge index format (expected ${INDEX_FORMAT}); run npm run ingest-knowledge again`);
+    }
+
+    this.data = data;
+    this.chunks = data.chunks;
+
+    // BM25 statistics: term frequencies per passage and document frequency per term
+    this.termFrequencies = this.chunks.map(chunk => {
+      const frequencies = new Map();
+      tokenize(`${chunk.title} ${chunk.section || ''} ${chunk.text}`).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      });
+      return frequencies;
+    });
+    this.lengths = this.termFrequencies.map(frequencies => [...frequencies.values()].reduce((sum, count) => sum + count, 0));
+    this.averageLength = this.lengths.reduce((sum, length) => sum + length, 0) / (this.chunks.length || 1);
+    this.documentFrequencies = new Map();
+    this.termFrequencies.forEach(frequencies => {
+      frequencies.forEach((count, term) => {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      });
+    });
+  }
+
+  /**
+   * @returns {string} Identifier of the index content (changes whenever it is rebuilt with different content)
+   */
+  get id() {
+    return this.data.id;
+  }
+
+  /**
+   * @returns {Object|null} { provider, model } the passages were embedded with, or null
+   */
+  get embeddings() {
+    return this.data.embeddings || null;
+  }
+
+  /**
+   * Load an index file
+   * @param {string} file - Path of the index file
+   * @returns {KnowledgeIndex} Index
+   */
+  static load(file) {
+    return new KnowledgeIndex(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Write the index to a file (written to a temporary file first, so a running server never reads half an index)
+   * @param {string} file - Path of the index file
+   */
+  save(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.data));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * BM25 score of every passage for a question
+   * @param {string} question - Question text
+   * @returns {Array<number>} Score per passage (0 if no term matches)
+   */
+  scoreBm25(question) {
+    const terms = [...new Set(tokenize(question))];
+    const total = this.chunks.length;
+
+    return this.termFrequencies.map((frequencies, index) => terms.reduce((score, term) => {
+      const frequency = frequencies.get(term);
+      if (!frequency) {
+        return score;
+      }
+
+      const documentFrequency = this.documentFrequencies.get(term);
+      const idf = Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const lengthNorm = 1 - B + B * (this.lengths[index] / this.averageLength);
+      return score + idf * (frequency * (K1 + 1)) / (frequency + K1 * lengthNorm);
+    }, 0));
+  }
+
+  /**
+   * Find the passages most relevant to a question
+   * Without a question vector passages are ranked by BM25 alone and must
+   * share a term with the question. With one, the normalized BM25 score and
+   * the cosine similarity are averaged, and passages without a shared term
+   * qualify if their similarity reaches `minSimilarity`.
+   * @param {string} question - Question text
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of passages (default 3)
+   * @param {Array<number>} options.vector - Embedding of the question (optional)
+   * @param {number} options.minSimilarity - Minimum similarity without a shared term (default 0.5)
+   * @returns {Array<Object>} { chunk, score, bm25, similarity } ordered by score, best first
+   */
+  search(question, { limit = 3, vector = null, minSimilarity = 0.5 } = {}) {
+    const bm25 = this.scoreBm25(question);
+    const maxBm25 = Math.max(0, ...bm25);
+
+    return this.chunks
+      .map((chunk, index) => {
+        const similarity = vector && Array.isArray(chunk.vector) && chunk.vector.length === vector.length
+          ? cosineSimilarity(vector, chunk.vector)
+          : null;
+        const normalized = maxBm25 > 0 ? bm25[index] / maxBm25 : 0;
+
+        return {
+          chunk,
+          bm25: bm25[index],
+          similarity,
+          score: similarity === null ? bm25[index] : (normalized + Math.max(0, similarity)) / 2
+        };
+      })
+      .filter(result => result.bm25 > 0 || (result.similarity !== null && result.similarity >= minSimilarity))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * @returns {Object} Summary for status endpoints
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      built_at: this.data.built_at,
+      documents: this.data.documents.length,
+      chunks: this.chunks.length,
+      embeddings: this.embeddings,
+      quarantined: this.data.quarantined || []
+    };
+  }
+}
+
+/**
+ * Build an index from loaded documents
+ * @param {string} persona - Persona name
+ * @param {Array<Object>} documents - Documents from the document loader
+ * @param {Object} options
+ * @param {number} options.chunkTokens - Maximum passage size (default 200)
+ * @param {Function} options.embed - Called with an array of passage texts, returns a promise of their
+ *   vectors (optional; without it the index is BM25 only)
+ * @param {Object} options.embeddings - { provider, model } used by `embed`, recorded in the index
+ * @param {Function} options.screen - Called with each passage, returns why it must be quarantined (left out
+ *   of the index and recorded in it) or null (optional)
+ * @returns {Promise<KnowledgeIndex>} Index
+ */
+async function buildIndex(persona, documents, { chunkTokens = 200, embed = null, embeddings = null, screen = null } = {}) {
+  const quarantined = [];
+  const chunks = documents
+    .flatMap(document => chunkDocument(document, { chunkTokens }))
+    .filter(chunk => {
+      const reason = screen ? screen(chunk) : null;
+      if (reason) {
+        quarantined.push({ id: chunk.id, source: chunk.source, title: chunk.title, section: chunk.section, reason });
+      }
+      return !reason;
+    });
+
+  if (embed && chunks.length > 0) {
+    const vectors = await embed(chunks.map(chunk => [chunk.title, chunk.section, chunk.text].filter(Boolean).join('\n')));
+    chunks.forEach((chunk, index) => {
+      chunk.vector = vectors[index];
+    });
+  }
+
+  const id = crypto.createHash('sha256').update(JSON.stringify(chunks)).digest('hex').slice(0, 12);
+
+  return new KnowledgeIndex({
+    format: INDEX_FORMAT,
+    persona,
+    id,
+    built_at: new Date().toISOString(),
+    chunk_tokens: chunkTokens,
+    embeddings: embed ? embeddings : null,
+    documents: documents.map(document => ({ source: document.source, title: document.title, url: document.url })),
+    quarantined,
+    chunks
+  });
+}
+
+module.exports = {
+  KnowledgeIndex,
+  buildIndex,
+  chunkDocument,
+  tokenize
+};
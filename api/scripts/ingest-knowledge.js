@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Build the knowledge indexes of personas with a `knowledge` block
+ *
+ * Usage: npm run ingest-knowledge [-- <persona> ...]
+ * Reads each persona's knowledge directory (Markdown, text, HTML and PDF
+ * files), splits the documents into passages and writes the index to
+ * KNOWLEDGE_INDEX_DIR (default data/knowledge). Passages that look like prompt
+ * injection attempts are quarantined (left out of the index and reported).
+ * Passages are embedded too when `settings.knowledge.embeddings` is enabled
+ * in llm-config.yaml. Without arguments every persona with a knowledge block
+ * is indexed.
+ *
+ * A running server picks up new indexes on its next configuration reload
+ * (POST /api/admin/reload) or restart. Exits with status 1 if any persona fails.
+ */
+require('dotenv').config();
+
+const PersonaRegistry = require('../config/persona-registry');
+const LLMConfigManager = require('../config/llm-config-manager');
+const EnvironmentConfig = require('../config/environment-config');
+const ProviderFactory = require('../providers/provider-factory');
+const KnowledgeBase = require('../retrieval/knowledge-base');
+
+/**
+ * Create the function that embeds passages, or null if embeddings are disabled
+ * @param {LLMConfigManager} llmConfigManager - LLM configuration
+ * @param {Object|null} embeddings - { provider, model } from getKnowledgeOptions()
+ * @returns {Function|null} Called with an array of texts, returns a promise of their vectors
+ */
+function createEmbedder(llmConfigManager, embeddings) {
+  if (!embeddings) {
+    return null;
+  }
+
+  const provider = ProviderFactory.createProvider(llmConfigManager.getProviderConfig(embeddings.provider));
+
+  return async (texts) => {
+    const vectors = [];
+
+    // Batches keep OpenAI requests under their input limit and show progress for slow local models
+    for (let start = 0; start < texts.length; start += 32) {
+      const { embeddings: batch } = await provider.embed(texts.slice(start, start + 32), { model: embeddings.model });
+      vectors.push(...batch);
+      process.stdout.write(`   embedded ${vectors.length}/${texts.length} passage(s)\r`);
+    }
+
+    process.stdout.write('\n');
+    return vectors;
+  };
+}
+
+async function main() {
+  const requested = process.argv.slice(2);
+  const llmConfigManager = new LLMConfigManager();
+  const registry = new PersonaRegistry(null, { getProviderNames: () => llmConfigManager.getAvailableProviders() });
+  const knowledgeBase = new KnowledgeBase(new EnvironmentConfig().getConfig().knowledge);
+  const { chunkTokens, embeddings } = llmConfigManager.getKnowledgeOptions();
+
+  const unknown = requested.filter(name => !registry.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown persona(s): ${unknown.join(', ')} (available: ${registry.getNames().join(', ')})`);
+  }
+
+  const names = (requested.length > 0 ? requested : registry.getNames())
+    .filter(name => {
+      if (!registry.get(name).knowledge) {
+        if (requested.length > 0) {
+          console.warn(`⚠️ ${name} has no knowledge block, skipping`);
+        }
+        return false;
+      }
+      return true;
+    });
+
+  if (names.length === 0) {
+    console.log('No personas with a knowledge block to index');
+    return true;
+  }
+
+  const embed = createEmbedder(llmConfigManager, embeddings);
+  let succeeded = true;
+
+  for (const name of names) {
+    const personaConfig = registry.get(name);
+    console.log(`📚 Indexing ${name} from ${knowledgeBase.resolveDirectory(personaConfig.knowledge)}`);
+
+    try {
+      const summary = await knowledgeBase.ingest(name, personaConfig, { chunkTokens, embed, embeddings });
+
+      summary.empty.forEach(source => console.warn(`⚠️ ${source}: no text could be extracted, skipped`));
+      summary.quarantined.forEach(({ id, reason }) => console.warn(`🚨 ${id}: passage quarantined, matches injection pattern ${reason}`));
+      console.log(`✅ ${name}: ${summary.documents} document(s), ${summary.chunks} passage(s)` +
+        `${summary.embeddings ? ` embedded with ${summary.embeddings.provider}` : ''} -> ${knowledgeBase.getIndexPath(name)}`);
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      succeeded = false;
+    }
+  }
+
+  return succeeded;
+}
+
+main()
+  .then(succeeded => process.exit(succeeded ? 0 : 1))
+  .catch(error => {
+    console.error(`❌ Knowledge ingestion failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Validate persona YAML files against the persona schema
+ *
+ * Usage: npm run validate-personas [-- <config directory>]
+ * Exits with status 1 and lists every problem (file, path, problem) if any
+ * persona is invalid, so it can run as a CI step. Provider names in `llm`
+ * blocks are checked against llm-config.yaml when the directory has one.
+ */
+const fs = require('fs');
+const path = require('path');
+const PersonaRegistry = require('../config/persona-registry');
+const LLMConfigManager = require('../config/llm-config-manager');
+const { formatValidationErrors } = require('../config/persona-schema');
+
+const configDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'config'));
+const llmConfigPath = path.join(configDir, 'llm-config.yaml');
+
+try {
+  const llmConfigManager = fs.existsSync(llmConfigPath) ? new LLMConfigManager(llmConfigPath) : null;
+  const registry = new PersonaRegistry(configDir, {
+    getProviderNames: () => llmConfigManager?.getAvailableProviders()
+  });
+  console.log(`✅ ${registry.getNames().length} persona file(s) valid: ${registry.getNames().join(', ')}`);
+} catch (error) {
+  if (!error.validationErrors) {
+    console.error(`❌ Failed to validate personas in ${configDir}: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.error(`❌ ${error.validationErrors.length} problem(s) found in persona files:`);
+  console.error(formatValidationErrors(error.validationErrors));
+  process.exit(1);
+}
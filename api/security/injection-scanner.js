@@ -0,0 +1,101 @@
+/**
+ * Prompt Injection Scanner
+ *
+ * Patterns of text that tries to override the model's instructions ("ignore
+ * previous instructions", fake "system:" turns, jailbreak requests). Every
+ * text that enters a prompt is screened, whatever its source: user messages
+ * that match are rejected, and document passages that match are kept out of
+ * knowledge indexes (at ingestion) and out of prompts (at retrieval).
+ *
+ * Documents get their own, narrower patterns. Agency prose routinely
+ * contains phrases the chat patterns flag ("online reservation system:",
+ * "Rangers act as a..."), so document patterns match whole words only, role
+ * prefixes only at the start of a line, and role-play only when it is
+ * addressed to an AI.
+ */
+
+const injectionPatterns = [
+  // Direct instruction override attempts
+  /ignore\s+(all\s+)?(previous|above|all|prior)\s+instructions?/i,
+  /ignore\s+(all|any|the)\s+(previous|above|prior)\s+instructions?/i,
+  /forget\s+(everything|all|previous|prior|your\s+role)/i,
+  /you\s+are\s+now\s+(a|an)?\s(?!a\s+government|helping|assisting)/i,
+
+  // System/roleplay injection attempts
+  /system\s*:\s*/i,
+  /assistant\s*:\s*/i,
+  /human\s*:\s*/i,
+  /\[INST\]|\[\/INST\]/i,
+  /<\|[^>]{0,50}\|>/i, // limit to 50 chars inside delimiters
+  /```[^`]{0,100}system[^`]{0,100}```/is, // limit to 100 chars before/after 'system'
+
+  // Jailbreak attempts
+  /jailbreak|jail\s+break/i,
+  /roleplay\s+as|role\s*play\s+as/i,
+  /pretend\s+(to\s+be|you\s+are)/i,
+  /act\s+as\s+(if|a|an)/i,
+
+  // Developer/admin mode attempts
+  /developer\s+mode/i,
+  /admin\s+mode/i,
+  /god\s+mode/i,
+  /override\s+(safety|security|protocols?)/i,
+
+  // Prompt manipulation
+  /end\s+of\s+(prompt|instructions?)/i,
+  /start\s+(new|fresh)\s+(prompt|conversation)/i,
+  /reset\s+(my\s+|your\s+|the\s+)?(conversation|context|memory)/i
+];
+
+const documentInjectionPatterns = [
+  // Direct instruction override attempts
+  /\b(ignore|disregard)\s+(all\s+|any\s+|the\s+)*(previous|above|prior|earlier)\s+(instructions?|prompts?|rules)\b/i,
+  /\bforget\s+(everything|all\s+previous|your\s+(role|instructions?|rules))\b/i,
+  /\byou\s+are\s+now\s+(an?\s+)?(unrestricted|unfiltered|jailbroken|different)\s+(ai|assistant|chatbot|model)\b/i,
+
+  // Fake conversation turns and model control tokens
+  /^[ \t]*(system|assistant|human)[ \t]*:/im,
+  /\[INST\]|\[\/INST\]/i,
+  /<\|[a-z_]{1,30}\|>/i,
+
+  // Jailbreak and role-play requests addressed to the model
+  /\b(jailbreak|jail\s+break)\b/i,
+  /\b(pretend|act|behave|role\s*play)\s+(to\s+be|that\s+you\s+are|you\s+are|as|like)\s+(an?\s+)?((unrestricted|unfiltered|different|new)\s+)?(ai|assistant|chatbot|language\s+model)\b/i,
+  /\b(developer|god)\s+mode\b/i,
+  /\boverride\s+(your\s+|the\s+|all\s+)?(safety|security)\s+(rules|protocols?|guidelines|instructions)\b/i,
+
+  // Prompt manipulation
+  /\b(reveal|print|repeat|show|output)\s+(your\s+(system\s+prompt|instructions)|the\s+system\s+prompt)\b/i,
+  /\bend\s+of\s+(the\s+)?(system\s+)?prompt\b/i
+];
+
+/**
+ * Find the first injection pattern a text matches
+ * @param {string} text - Text that will be included in a prompt
+ * @returns {RegExp|null} Matching pattern, or null if the text looks safe
+ */
+function findInjectionPattern(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  return injectionPatterns.find(pattern => pattern.test(text)) || null;
+}
+
+/**
+ * Find the first document injection pattern a passage of a document matches
+ * @param {string} text - Document text that will be included in a prompt
+ * @returns {RegExp|null} Matching pattern, or null if the text looks safe
+ */
+function findDocumentInjectionPattern(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  return documentInjectionPatterns.find(pattern => pattern.test(text)) || null;
+}
+
+module.exports = {
+  injectionPatterns,
+  documentInjectionPatterns,
+  findInjectionPattern,
+  findDocumentInjectionPattern
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { isValidSessionId, isExpired } = require('./session-store');
+
+/**
+ * Session Manager
+ *
+ * Keeps server-side conversation history so follow-up questions can be
+ * answered in context. A session belongs to a single persona and holds the
+ * sanitized user messages and validated assistant responses of each turn.
+ * Sessions expire after a period of inactivity (sliding TTL).
+ */
+class SessionManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Session store (see session-store.js)
+   * @param {number} options.ttl - Inactivity timeout in milliseconds
+   * @param {number} options.maxTurns - Maximum turns kept per session
+   */
+  constructor({ store, ttl = 30 * 60 * 1000, maxTurns = 20 } = {}) {
+    if (!store) {
+      throw new Error('Session store is required');
+    }
+
+    this.store = store;
+    this.ttl = ttl;
+    this.maxTurns = maxTurns;
+    this.pendingAppends = new Map();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Create a new session for a persona
+   * @param {string} persona - Persona name
+   * @returns {Promise<Object>} New session
+   */
+  async createSession(persona) {
+    const now = new Date();
+    const session = {
+      id: crypto.randomUUID(),
+      persona: persona,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + this.ttl).toISOString(),
+      turns: []
+    };
+
+    await this.store.set(session.id, session);
+    console.log(`💬 Created session ${session.id} for persona: ${persona}`);
+
+    return session;
+  }
+
+  /**
+   * Get a session if it exists and has not expired
+   * @param {string} id - Session id
+   * @returns {Promise<Object|null>} Session or null
+   */
+  async getSession(id) {
+    if (!isValidSessionId(id)) {
+      return null;
+    }
+
+    const session = await this.store.get(id);
+    if (!session) {
+      return null;
+    }
+
+    if (isExpired(session)) {
+      await this.store.delete(id);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Resume a session for a persona
+   * @param {string} id - Session id
+   * @param {string} persona - Persona the request is addressed to
+   * @returns {Promise<Object>} Session
+   * @throws {Error} If the session does not exist, expired, or belongs to another persona
+   */
+  async resumeSession(id, persona) {
+    const session = await this.getSession(id);
+
+    if (!session) {
+      throw new Error(`Session not found or expired: ${id}`);
+    }
+
+    if (session.persona !== persona) {
+      throw new Error(`Session ${id} belongs to persona: ${session.persona}`);
+    }
+
+    return session;
+  }
+
+  /**
+   * Record a completed turn and extend the session's expiry
+   * @param {Object} session - Session returned by createSession/resumeSession
+   * @param {string} userMessage - Sanitized user message
+   * @param {string} assistantMessage - Validated assistant response
+   * @returns {Promise<Object|null>} Updated session, or null if the session was deleted or
+   *   expired while the turn was generated (it is not recreated)
+   */
+  async appendTurn(session, userMessage, assistantMessage) {
+    // Appends to the same session run one at a time, each after the previous one was written.
+    // Servers sharing a store do not coordinate: if two append to one session at once, the last write wins.
+    const previous = this.pendingAppends.get(session.id) || Promise.resolve();
+    const append = previous.catch(() => {}).then(() => this.writeTurn(session, userMessage, assistantMessage));
+    this.pendingAppends.set(session.id, append);
+
+    try {
+      return await append;
+    } finally {
+      if (this.pendingAppends.get(session.id) === append) {
+        this.pendingAppends.delete(session.id);
+      }
+    }
+  }
+
+  /**
+   * Add a turn to the stored copy of a session and save it
+   * @param {Object} session - Session returned by createSession/resumeSession
+   * @param {string} userMessage - Sanitized user message
+   * @param {string} assistantMessage - Validated assistant response
+   * @returns {Promise<Object|null>} Updated session, or null if the session no longer exists
+   */
+  async writeTurn(session, userMessage, assistantMessage) {
+    const now = new Date();
+
+    // Re-read so turns appended since the request loaded the session are kept
+    const current = await this.getSession(session.id);
+    if (!current) {
+      console.log(`💬 Session ${session.id} ended before its turn was recorded`);
+      return null;
+    }
+
+    current.turns.push({
+      user: userMessage,
+      assistant: assistantMessage,
+      timestamp: now.toISOString()
+    });
+
+    if (current.turns.length > this.maxTurns) {
+      current.turns = current.turns.slice(-this.maxTurns);
+    }
+
+    current.updated_at = now.toISOString();
+    current.expires_at = new Date(now.getTime() + this.ttl).toISOString();
+
+    await this.store.set(current.id, current);
+    return current;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session id
+   * @returns {Promise<boolean>} True if a session was deleted
+   */
+  async deleteSession(id) {
+    if (!isValidSessionId(id)) {
+      return false;
+    }
+
+    return this.store.delete(id);
+  }
+
+  /**
+   * Remove expired sessions from the store
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async purgeExpired() {
+    const removed = await this.store.purgeExpired(Date.now());
+    if (removed > 0) {
+      console.log(`🧹 Purged ${removed} expired session(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Periodically purge expired sessions
+   * @param {number} interval - Interval in milliseconds
+   */
+  startCleanup(interval = 60 * 1000) {
+    this.stopCleanup();
+    this.cleanupTimer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        console.error('Session cleanup failed:', error.message);
+      });
+    }, interval);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Stop periodic cleanup
+   */
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * Public view of a session (transcript without internal fields)
+   * @param {Object} session - Stored session
+   * @returns {Object} Transcript
+   */
+  toTranscript(session) {
+    return {
+      session_id: session.id,
+      persona: session.persona,
+      created_at: session.created_at,
+      updated_at: session.updated_at,
+      expires_at: session.expires_at,
+      turns: session.turns
+    };
+  }
+}
+
+module.exports = SessionManager;
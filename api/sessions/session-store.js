@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session Stores
+ *
+ * Pluggable persistence for conversation sessions. Every store implements the
+ * same async interface so the SessionManager does not care where sessions live:
+ *
+ *   get(id)           -> session object or null
+ *   set(id, session)  -> void
+ *   delete(id)        -> boolean (true if a session was removed)
+ *   purgeExpired(now) -> number of sessions removed
+ *
+ * Sessions are plain JSON-serializable objects with an `expires_at` ISO date.
+ */
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check that a session id is a UUID (also guards file paths)
+ * @param {string} id - Session id
+ * @returns {boolean} True if the id is well-formed
+ */
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+/**
+ * @param {Object} session - Stored session
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the session has expired
+ */
+function isExpired(session, now = Date.now()) {
+  return !session || Date.parse(session.expires_at) <= now;
+}
+
+/**
+ * In-memory session store (default). Sessions are lost on restart.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    return session ? JSON.parse(JSON.stringify(session)) : null;
+  }
+
+  async set(id, session) {
+    this.sessions.set(id, JSON.parse(JSON.stringify(session)));
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async purgeExpired(now = Date.now()) {
+    let removed = 0;
+    for (const [id, session] of this.sessions) {
+      if (isExpired(session, now)) {
+        this.sessions.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * File-based session store. Each session is a JSON file in a directory,
+ * so sessions survive restarts and can live on a mounted volume.
+ */
+class FileSessionStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '..', 'data', 'sessions');
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  getPath(id) {
+    if (!isValidSessionId(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      const content = await fs.promises.readFile(this.getPath(id), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(id, session) {
+    // Write to a temporary file first so readers never see a partial session;
+    // each write gets its own file so concurrent writes never share one
+    const filePath = this.getPath(id);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(session), 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async delete(id) {
+    try {
+      await fs.promises.unlink(this.getPath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async purgeExpired(now = Date.now()) {
+    let removed = 0;
+    const files = await fs.promises.readdir(this.directory);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      const id = file.slice(0, -'.json'.length);
+      if (!isValidSessionId(id)) {
+        continue;
+      }
+
+      const session = await this.get(id).catch(() => null);
+      if (isExpired(session, now) && await this.delete(id)) {
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * SQLite session store using Node's built-in `node:sqlite` module
+ * (Node.js 22.5+). Useful when several API containers share a volume.
+ */
+class SqliteSessionStore {
+  constructor(options = {}) {
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error(`SQLite session store requires Node.js 22.5 or later (node:sqlite): ${error.message}`);
+    }
+
+    const filename = options.filename || path.join(__dirname, '..', 'data', 'sessions.db');
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new sqlite.DatabaseSync(filename);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+  }
+
+  async get(id) {
+    const row = this.db.prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async set(id, session) {
+    this.db
+      .prepare('INSERT OR REPLACE INTO sessions (id, data, expires_at) VALUES (?, ?, ?)')
+      .run(id, JSON.stringify(session), Date.parse(session.expires_at));
+  }
+
+  async delete(id) {
+    const result = this.db.prepare('DELETE FROM sessions WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  async purgeExpired(now = Date.now()) {
+    const result = this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+    return Number(result.changes);
+  }
+}
+
+const sessionStores = {
+  memory: MemorySessionStore,
+  file: FileSessionStore,
+  sqlite: SqliteSessionStore
+};
+
+/**
+ * Create a session store from configuration
+ * @param {Object} config - { type: 'memory' | 'file' | 'sqlite', ...storeOptions }
+ * @returns {Object} Session store instance
+ */
+function createSessionStore(config = {}) {
+  const type = (config.type || 'memory').toLowerCase();
+  const StoreClass = sessionStores[type];
+
+  if (!StoreClass) {
+    throw new Error(
+      `Unsupported session store type: ${config.type}. ` +
+      `Supported stores: ${Object.keys(sessionStores).join(', ')}`
+    );
+  }
+
+  return new StoreClass(config);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  SqliteSessionStore,
+  createSessionStore,
+  isValidSessionId,
+  isExpired
+};